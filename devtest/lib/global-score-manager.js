@@ -1,8 +1,15 @@
 /**
  * Global Score Manager for QMesh Network
  * Manages scores from all workers in the P2P network
+ *
+ * Announcements must carry the client-signed work receipts behind them
+ * (see src/lib/receipt.js). The stored score is computed from those
+ * receipts, one point per generated token; what a peer claims about
+ * itself is never stored as its score.
  */
 
+import { scoreReceipts } from '../../src/lib/receipt.js';
+
 export class GlobalScoreManager {
   constructor(silent = false) {
     this.peerScores = new Map(); // Map<workerId, scoreData>
@@ -13,9 +20,21 @@ export class GlobalScoreManager {
 
   /**
    * Update or add a peer's score and health data
+   *
+   * scoreData.receipts is required. The stored totalScore, completionTokens
+   * and requestCount are the ones the receipts prove, whatever is claimed.
    */
   updatePeerScore(scoreData) {
-    const { workerId, timestamp = Date.now() } = scoreData;
+    const { workerId, timestamp = Date.now(), receipts, ...claim } = scoreData;
+
+    if (!Array.isArray(receipts)) {
+      if (!this.silent) {
+        console.log(`🚫 Rejected score from ${workerId.substring(0, 8)}: no receipts`);
+      }
+      return false;
+    }
+
+    const verified = scoreReceipts(receipts, workerId);
 
     // Check if we have a more recent update
     const lastUpdate = this.lastUpdate.get(workerId);
@@ -26,7 +45,12 @@ export class GlobalScoreManager {
 
     // Update score data including health metrics
     this.peerScores.set(workerId, {
-      ...scoreData,
+      ...claim,
+      totalScore: verified.totalScore,
+      completionTokens: verified.completionTokens,
+      requestCount: verified.requestCount,
+      workerId,
+      timestamp,
       lastSeen: Date.now()
     });
     this.lastUpdate.set(workerId, timestamp);
@@ -38,7 +62,7 @@ export class GlobalScoreManager {
                           scoreData.system?.status === 'busy' ? '🟠' :
                           scoreData.system?.status === 'overloaded' ? '🔴' : '';
 
-      console.log(`📊 Updated worker ${workerId.substring(0, 8)}: ${scoreData.totalScore} pts ${healthEmoji}`);
+      console.log(`📊 Updated worker ${workerId.substring(0, 8)}: ${verified.totalScore} pts ${healthEmoji}`);
     }
     return true;
   }
@@ -32,6 +32,7 @@ class QMeshWorker {
     this.scoreConnections = new Map(); // Connections for score sharing
     this.scoreSwarm = null;
     this.totalScore = 0;
+    this.receipts = []; // Client-signed work receipts, shared with score announcements
     this.maxQueueSize = 5;
   }
 
@@ -336,6 +337,7 @@ class QMeshWorker {
       successRate: stats.successRate || 0,
       averageResponseTime: stats.averageResponseTime || 0,
       achievements: stats.achievements || [],
+      receipts: this.receipts,
 
       // System health data
       system: {
@@ -792,10 +794,9 @@ class QMeshWorker {
       return verifiedScore;
     }
 
-    // If we can't verify, use claimed score but cap it
+    // Claims without receipts behind them earn nothing
     if (claimedScore > 0) {
-      console.log(`🆕 Unverified sender ${senderId.substring(0, 8)}, using claimed score: ${claimedScore}`);
-      return Math.min(claimedScore, 100); // Cap unverified scores at Bronze tier
+      console.log(`🆕 Unverified sender ${senderId.substring(0, 8)}, ignoring claimed score: ${claimedScore}`);
     }
 
     return 0; // Unknown senders get lowest priority
@@ -85,6 +85,10 @@ async function main() {
       console.log(`   Speed: ${result.tokensPerSecond} tok/s`)
     })
 
+    client.on('request-retry', (workerId, attempt, error) => {
+      console.log(`\n🔁 Retrying on another worker (attempt ${attempt}): ${error.message}`)
+    })
+
     client.on('request-failed', (requestId, workerId, error) => {
       console.error(`\n❌ Request failed: ${requestId}`)
       console.error(`   Worker: ${workerId}`)
@@ -0,0 +1,136 @@
+#!/usr/bin/env pear
+
+/**
+ * QMesh Gateway - OpenAI-compatible HTTP API for the mesh
+ *
+ * Connects to the P2P network as a client and serves the OpenAI REST API
+ * on a local port, forwarding each call to the best available worker.
+ *
+ * Usage:
+ *   pear run --dev gateway.js
+ *
+ *   # Then point any OpenAI SDK or editor at the gateway:
+ *   OPENAI_BASE_URL=http://127.0.0.1:8000/v1 OPENAI_API_KEY=unused <tool>
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { QMeshClient } from './src/client/qmesh-client.js'
+import { OpenAIGateway } from './src/client/openai-gateway.js'
+
+console.log('\n🌐 QMesh OpenAI Gateway\n')
+console.log('='.repeat(60))
+
+// Pear teardown hook
+if (typeof Pear !== 'undefined') {
+  Pear.teardown(() => {
+    console.log('\n⚠️  Shutting down gateway...')
+  })
+}
+
+let client = null
+let gateway = null
+
+async function main() {
+  try {
+    // Gateway configuration
+    console.log('\n📋 Gateway Configuration:\n')
+
+    const config = {
+      // P2P network
+      networkTopic: 'qmesh-inference',
+      discoveryTimeout: 5000,  // 5 seconds
+      requestTimeout: 120000,  // 2 minutes
+
+      // HTTP server
+      host: '127.0.0.1',
+      port: 8000,
+      model: 'qmesh'
+    }
+
+    console.log(`  Network Topic: ${config.networkTopic}`)
+    console.log(`  Listen: ${config.host}:${config.port}`)
+    console.log(`  Model: ${config.model}`)
+    console.log('='.repeat(60))
+
+    // Connect to the mesh
+    console.log('\n⚙️  Connecting to network...\n')
+
+    client = new QMeshClient({
+      networkTopic: config.networkTopic,
+      discoveryTimeout: config.discoveryTimeout,
+      requestTimeout: config.requestTimeout
+    })
+
+    client.on('worker-discovered', (workerId, health) => {
+      console.log(`🔍 Worker discovered: ${workerId.slice(0, 16)}... (Health: ${health.score})`)
+    })
+
+    client.on('worker-lost', (workerId) => {
+      console.log(`❌ Worker lost: ${workerId.slice(0, 16)}...`)
+    })
+
+    await client.connect()
+    console.log(`✅ Connected (${client.getWorkerCount()} worker(s) found)`)
+
+    // Start HTTP server
+    gateway = new OpenAIGateway(client, {
+      host: config.host,
+      port: config.port,
+      model: config.model
+    })
+
+    gateway.on('request', (method, path) => {
+      console.log(`📥 ${method} ${path}`)
+    })
+
+    gateway.on('error', (error) => {
+      console.error(`❌ Gateway error:`, error.message)
+    })
+
+    const url = await gateway.listen()
+
+    console.log('\n' + '='.repeat(60))
+    console.log('\n🟢 Gateway Ready!\n')
+    console.log(`  Base URL: ${url}`)
+    console.log('\n' + '='.repeat(60))
+    console.log('\nPress Ctrl+C to exit\n')
+
+  } catch (error) {
+    console.error('\n❌ Gateway failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+
+    await cleanup()
+    process.exit(1)
+  }
+}
+
+async function cleanup() {
+  console.log('\n🧹 Cleaning up...')
+
+  if (gateway) {
+    await gateway.close()
+  }
+
+  if (client) {
+    await client.disconnect()
+  }
+
+  console.log('✅ Shutdown complete')
+}
+
+// Graceful shutdown handlers
+process.on('SIGINT', async () => {
+  console.log('\n\n⚠️  Shutting down gateway...')
+  await cleanup()
+  process.exit(0)
+})
+
+process.on('SIGTERM', async () => {
+  console.log('\n\n⚠️  Shutting down gateway...')
+  await cleanup()
+  process.exit(0)
+})
+
+main()
@@ -8,7 +8,8 @@
  *
  * Usage:
  *   pear run qmesh-worker
- *   pear run --dev .
+ *   pear run --dev . --model ./models/model.gguf --gpu-layers 33
+ *   pear run --dev . --help
  */
 
 import 'bare-node-runtime/global'
@@ -16,6 +17,7 @@ import process from '#process'
 import { WorkerNode } from './src/worker/worker-node.js'
 import { getBinaryPath } from './src/lib/binary-resolver.js'
 import { ensureModel } from './src/lib/model-downloader.js'
+import { loadWorkerConfig, isHelpRequested, describeWorkerFlags, ConfigError } from './src/config/worker-config.js'
 
 console.log('\n🌐 QMesh P2P Worker\n')
 console.log('='.repeat(60))
@@ -31,38 +33,37 @@ let worker = null
 
 async function main() {
   try {
-    // Production configuration
-    console.log('\n📋 Worker Configuration:\n')
-
-    const config = {
-      // Model and inference
-      modelPath: './models/tinyllama-1.1b-chat-v1.0.Q4_K_M.gguf',
-      binaryPath: getBinaryPath(),
-      port: 8080,
-      gpuLayers: 0,  // CPU only (change to 33 for GPU)
-      threads: 4,
-      temperature: 0.7,
-      maxTokens: 200,
+    // Configuration: defaults < qmesh-worker.json < QMESH_* env < flags
+    if (isHelpRequested()) {
+      console.log('\nOptions (also settable in qmesh-worker.json or QMESH_* env vars):\n')
+      console.log(describeWorkerFlags())
+      process.exit(0)
+    }
 
-      // P2P network
-      networkTopic: 'qmesh-inference',
+    console.log('\n📋 Worker Configuration:\n')
 
-      // Queue and health
-      queueCapacity: 10,
-      statusBroadcastInterval: 10000, // 10 seconds
+    const config = await loadWorkerConfig()
+    config.binaryPath = config.binaryPath || getBinaryPath()
 
-      verbose: false
-    }
+    const modelPaths = config.models
+      ? config.models.map(model => model.modelPath)
+      : [config.modelPath]
 
-    console.log(`  Model: ${config.modelPath}`)
+    console.log(`  Model: ${modelPaths.join(', ')}`)
     console.log(`  Binary: ${config.binaryPath}`)
+    console.log(`  GPU Layers: ${config.gpuLayers} (${config.gpuLayers > 0 ? 'GPU' : 'CPU'})`)
+    console.log(`  Threads: ${config.threads}`)
     console.log(`  Network Topic: ${config.networkTopic}`)
     console.log(`  Queue Capacity: ${config.queueCapacity}`)
+    console.log(`  Concurrency: ${config.concurrency}`)
+    console.log(`  Scheduler: ${config.scheduler}`)
     console.log('='.repeat(60))
 
-    // Ensure model is available
+    // Ensure models are available
     console.log('\n📦 Checking model availability...\n')
-    await ensureModel(config.modelPath, { autoDownload: false })
+    for (const modelPath of modelPaths) {
+      await ensureModel(modelPath, { autoDownload: false })
+    }
 
     // Create worker
     console.log('\n⚙️  Initializing worker node...\n')
@@ -84,8 +85,29 @@ async function main() {
       console.log(`\n📥 Request accepted: ${requestId}`)
     })
 
+    worker.on('request-queued', (peerId, requestId, position, priority) => {
+      console.log(`⏳ Request queued: ${requestId} (position ${position}${config.scheduler === 'priority' ? `, ${priority} credits` : ''})`)
+    })
+
+    worker.on('request-clamped', (peerId, requestId, clamped) => {
+      console.log(`✂️  Request options clamped to policy: ${requestId} (${clamped.join(', ')})`)
+    })
+
     worker.on('request-completed', (peerId, requestId, stats) => {
-      console.log(`✅ Request completed: ${requestId} (${stats.tokens} tokens, ${(stats.duration / 1000).toFixed(2)}s)`)
+      const size = stats.embeddings ? `${stats.embeddings} embeddings` : `${stats.tokens} tokens`
+      console.log(`✅ Request completed: ${requestId} (${size}, ${(stats.duration / 1000).toFixed(2)}s)`)
+    })
+
+    worker.on('model-swapped', (previous, model) => {
+      console.log(`🔀 Model swapped: ${previous.id} → ${model.id}`)
+    })
+
+    worker.on('engine-crashed', (modelId, { reason }) => {
+      console.log(`💥 llama-server for ${modelId} went down (${reason}), pausing requests`)
+    })
+
+    worker.on('engine-ready', (modelId) => {
+      console.log(`🟢 llama-server for ${modelId} is back`)
     })
 
     worker.on('error', (error) => {
@@ -96,6 +118,12 @@ async function main() {
     await worker.start()
 
   } catch (error) {
+    // Bad settings: the message lists every problem, a stack trace won't help
+    if (error instanceof ConfigError) {
+      console.error(`\n❌ ${error.message}\n\nRun with --help for all options.`)
+      process.exit(1)
+    }
+
     console.error('\n❌ Worker failed:', error.message)
     console.error('\nStack trace:')
     console.error(error.stack)
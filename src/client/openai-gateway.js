@@ -0,0 +1,574 @@
+/**
+ * OpenAI Gateway - OpenAI-compatible HTTP API in front of QMeshClient
+ *
+ * Runs a local HTTP server that speaks the OpenAI REST API and forwards
+ * every call through QMeshClient to the best available worker, so
+ * existing SDKs and editors can use the mesh without code changes.
+ *
+ * Endpoints:
+ * - GET  /v1/models            - Models served by the mesh
+ * - POST /v1/chat/completions  - Chat completions (stream: true for SSE)
+ * - POST /v1/completions       - Text completions (stream: true for SSE)
+ *
+ * Response shapes match what llama-server returns (and what
+ * LlamaHttpClient.chat parses). When an HTTP client disconnects before
+ * its response is finished, the mesh request is cancelled on the worker.
+ *
+ * Usage:
+ *   const client = new QMeshClient({ networkTopic: 'qmesh-inference' })
+ *   await client.connect()
+ *
+ *   const gateway = new OpenAIGateway(client, { port: 8000 })
+ *   await gateway.listen()
+ *   // OPENAI_BASE_URL=http://127.0.0.1:8000/v1
+ */
+
+import EventEmitter from 'bare-events'
+import http from '#http'
+import crypto from 'bare-crypto'
+import b4a from 'b4a'
+import { validateSamplingOptions } from '../lib/sampling.js'
+
+// Returned by _readJson() when it already answered with an error
+const INVALID_BODY = Symbol('invalid body')
+
+/**
+ * OpenAIGateway - Serves the OpenAI API from the QMesh network
+ */
+export class OpenAIGateway extends EventEmitter {
+  /**
+   * @param {QMeshClient} client - Connected QMesh client
+   * @param {object} options - Gateway options
+   * @param {string} options.host - Listen address (default: 127.0.0.1)
+   * @param {number} options.port - Listen port (default: 8000)
+   * @param {string} options.model - Generic model id meaning "any worker" (default: qmesh)
+   * @param {number} options.maxBodySize - Maximum request body in bytes (default: 1MB)
+   */
+  constructor(client, options = {}) {
+    super()
+
+    if (!client) {
+      throw new Error('QMeshClient is required for OpenAIGateway')
+    }
+
+    this.client = client
+
+    this.config = {
+      host: options.host || '127.0.0.1',
+      port: options.port || 8000,
+      model: options.model || 'qmesh',
+      maxBodySize: options.maxBodySize || 1024 * 1024, // 1MB
+      ...options
+    }
+
+    this.server = null
+  }
+
+  /**
+   * Start the HTTP server
+   *
+   * @returns {Promise<string>} - Base URL of the gateway
+   */
+  async listen() {
+    if (this.server) {
+      throw new Error('Gateway already listening')
+    }
+
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch((error) => {
+        this.emit('error', error)
+        this._sendError(res, 500, error.message, 'server_error')
+      })
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject)
+        resolve()
+      })
+    })
+
+    const url = `http://${this.config.host}:${this.config.port}/v1`
+    this.emit('listening', url)
+
+    return url
+  }
+
+  /**
+   * Stop the HTTP server
+   */
+  async close() {
+    if (!this.server) {
+      return
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()))
+    this.server = null
+    this.emit('closed')
+  }
+
+  /**
+   * Route an incoming HTTP request
+   *
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const path = req.url.split('?')[0].replace(/\/+$/, '')
+
+    this.emit('request', req.method, path)
+
+    if (req.method === 'GET' && path === '/v1/models') {
+      this._sendJson(res, 200, this._listModels())
+      return
+    }
+
+    if (req.method === 'POST' && path === '/v1/chat/completions') {
+      const body = await this._readJson(req, res)
+      if (body !== INVALID_BODY) await this._handleChatCompletions(body, res, this._abortOnDisconnect(res))
+      return
+    }
+
+    if (req.method === 'POST' && path === '/v1/completions') {
+      const body = await this._readJson(req, res)
+      if (body !== INVALID_BODY) await this._handleCompletions(body, res, this._abortOnDisconnect(res))
+      return
+    }
+
+    this._sendError(res, 404, `Unknown endpoint: ${req.method} ${path}`, 'invalid_request_error')
+  }
+
+  /**
+   * Build the /v1/models response
+   *
+   * Lists the generic model id (any worker) plus every model currently
+   * advertised on the network.
+   *
+   * @private
+   */
+  _listModels() {
+    const created = this._now()
+    const ids = new Set([this.config.model, ...this.client.getModels().map(model => model.id)])
+
+    return {
+      object: 'list',
+      data: Array.from(ids, id => ({
+        id,
+        object: 'model',
+        created,
+        owned_by: 'qmesh'
+      }))
+    }
+  }
+
+  /**
+   * Handle POST /v1/chat/completions
+   *
+   * @private
+   */
+  async _handleChatCompletions(body, res, signal) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      this._sendError(res, 400, 'messages must be a non-empty array', 'invalid_request_error')
+      return
+    }
+
+    const id = `chatcmpl-${this._generateId()}`
+    const model = body.model || this.config.model
+    const options = { ...this._toGenerateOptions(body), signal }
+
+    const invalid = validateSamplingOptions(options)
+    if (invalid) {
+      this._sendError(res, 400, invalid, 'invalid_request_error')
+      return
+    }
+
+    if (body.stream) {
+      this._startEventStream(res)
+
+      const chunk = (delta, finishReason) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created: this._now(),
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      })
+
+      this._sendEvent(res, chunk({ role: 'assistant', content: '' }, null))
+
+      try {
+        const result = await this.client.chatStream(body.messages, (token) => {
+          this._sendEvent(res, chunk({ content: token }, null))
+        }, options)
+
+        this._sendEvent(res, chunk({}, result.finishReason || 'stop'))
+
+        if (body.stream_options?.include_usage) {
+          this._sendEvent(res, { ...chunk({}, null), choices: [], usage: this._usage(result) })
+        }
+      } catch (error) {
+        if (signal.aborted) return // Client went away, nobody left to tell
+
+        const { type, code } = this._describeRequestError(error)
+        this._sendEvent(res, { error: this._errorBody(error.message, type, code) })
+      }
+
+      this._endEventStream(res)
+      return
+    }
+
+    try {
+      const result = await this.client.chat(body.messages, options)
+
+      this._sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created: this._now(),
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: result.text },
+          finish_reason: result.finishReason || 'stop'
+        }],
+        usage: this._usage(result)
+      })
+    } catch (error) {
+      if (!signal.aborted) this._sendRequestError(res, error)
+    }
+  }
+
+  /**
+   * Handle POST /v1/completions
+   *
+   * @private
+   */
+  async _handleCompletions(body, res, signal) {
+    // OpenAI allows a single-element array for prompt
+    const prompt = Array.isArray(body.prompt) && body.prompt.length === 1
+      ? body.prompt[0]
+      : body.prompt
+
+    if (typeof prompt !== 'string' || prompt.length === 0) {
+      this._sendError(res, 400, 'prompt must be a non-empty string', 'invalid_request_error')
+      return
+    }
+
+    const id = `cmpl-${this._generateId()}`
+    const model = body.model || this.config.model
+    const options = { ...this._toGenerateOptions(body), signal }
+
+    const invalid = validateSamplingOptions(options)
+    if (invalid) {
+      this._sendError(res, 400, invalid, 'invalid_request_error')
+      return
+    }
+
+    if (body.stream) {
+      this._startEventStream(res)
+
+      const chunk = (text, finishReason) => ({
+        id,
+        object: 'text_completion',
+        created: this._now(),
+        model,
+        choices: [{ index: 0, text, finish_reason: finishReason }]
+      })
+
+      try {
+        const result = await this.client.generateStream(prompt, (token) => {
+          this._sendEvent(res, chunk(token, null))
+        }, options)
+
+        this._sendEvent(res, chunk('', result.finishReason || 'stop'))
+
+        if (body.stream_options?.include_usage) {
+          this._sendEvent(res, { ...chunk('', null), choices: [], usage: this._usage(result) })
+        }
+      } catch (error) {
+        if (signal.aborted) return // Client went away, nobody left to tell
+
+        const { type, code } = this._describeRequestError(error)
+        this._sendEvent(res, { error: this._errorBody(error.message, type, code) })
+      }
+
+      this._endEventStream(res)
+      return
+    }
+
+    try {
+      const result = await this.client.generate(prompt, options)
+
+      this._sendJson(res, 200, {
+        id,
+        object: 'text_completion',
+        created: this._now(),
+        model,
+        choices: [{
+          index: 0,
+          text: result.text,
+          finish_reason: result.finishReason || 'stop'
+        }],
+        usage: this._usage(result)
+      })
+    } catch (error) {
+      if (!signal.aborted) this._sendRequestError(res, error)
+    }
+  }
+
+  /**
+   * Abort a signal when the response closes before it is finished
+   *
+   * The response, not the request, is watched: a request emits 'close'
+   * as soon as its body has been read.
+   *
+   * @private
+   * @returns {AbortSignal} - Aborted when the HTTP client goes away
+   */
+  _abortOnDisconnect(res) {
+    const controller = new AbortController()
+    let finished = false
+
+    res.on('finish', () => { finished = true })
+    res.on('close', () => {
+      if (!finished) controller.abort()
+    })
+
+    return controller.signal
+  }
+
+  /**
+   * Map OpenAI request fields onto QMeshClient generate options
+   *
+   * @private
+   */
+  _toGenerateOptions(body) {
+    return {
+      maxTokens: body.max_tokens,
+      temperature: body.temperature,
+      topP: body.top_p,
+      presencePenalty: body.presence_penalty,
+      frequencyPenalty: body.frequency_penalty,
+      stop: typeof body.stop === 'string' ? [body.stop] : body.stop,
+      logitBias: body.logit_bias,
+      seed: body.seed,
+      // llama.cpp extensions accepted by llama-server's own OpenAI endpoint
+      topK: body.top_k,
+      minP: body.min_p,
+      repeatPenalty: body.repeat_penalty,
+      mirostat: body.mirostat,
+      mirostatTau: body.mirostat_tau,
+      mirostatEta: body.mirostat_eta,
+      grammar: body.grammar,
+      jsonSchema: this._toJsonSchema(body.response_format),
+      // The generic model id means "any worker"
+      model: body.model && body.model !== this.config.model ? body.model : undefined
+    }
+  }
+
+  /**
+   * Map an OpenAI response_format onto a jsonSchema constraint
+   *
+   * @private
+   */
+  _toJsonSchema(format) {
+    if (!format || typeof format !== 'object') {
+      return undefined
+    }
+
+    if (format.type === 'json_object') {
+      return { type: 'object' }
+    }
+
+    if (format.type === 'json_schema') {
+      return format.json_schema?.schema ?? { type: 'object' }
+    }
+
+    return undefined
+  }
+
+  /**
+   * Build an OpenAI usage object from a QMesh result
+   *
+   * @private
+   */
+  _usage(result) {
+    const completionTokens = result.tokens || 0
+    const promptTokens = result.promptTokens || 0
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body
+   *
+   * Sends a 400/413 response and returns INVALID_BODY if the body is
+   * too large, not JSON or not a JSON object.
+   *
+   * @private
+   * @returns {Promise<object|symbol>} - Parsed body
+   */
+  async _readJson(req, res) {
+    const chunks = []
+    let size = 0
+
+    try {
+      await new Promise((resolve, reject) => {
+        req.on('data', (data) => {
+          size += data.length
+          if (size > this.config.maxBodySize) {
+            reject(new Error('Request body too large'))
+            return
+          }
+          chunks.push(data)
+        })
+        req.on('end', resolve)
+        req.on('error', reject)
+      })
+    } catch (error) {
+      this._sendError(res, 413, error.message, 'invalid_request_error')
+      return INVALID_BODY
+    }
+
+    let body
+
+    try {
+      body = JSON.parse(b4a.toString(b4a.concat(chunks), 'utf8'))
+    } catch (error) {
+      this._sendError(res, 400, `Invalid JSON body: ${error.message}`, 'invalid_request_error')
+      return INVALID_BODY
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      this._sendError(res, 400, 'Request body must be a JSON object', 'invalid_request_error')
+      return INVALID_BODY
+    }
+
+    return body
+  }
+
+  /**
+   * Send a JSON response
+   *
+   * @private
+   */
+  _sendJson(res, status, body) {
+    const data = b4a.from(JSON.stringify(body), 'utf8')
+
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/json')
+    res.setHeader('Content-Length', data.length)
+    res.end(data)
+  }
+
+  /**
+   * Send an OpenAI-style error response
+   *
+   * @private
+   */
+  _sendError(res, status, message, type, code = null) {
+    if (res.headersSent) {
+      res.end()
+      return
+    }
+
+    this._sendJson(res, status, { error: this._errorBody(message, type, code) })
+  }
+
+  /**
+   * Send the error of a failed mesh request
+   *
+   * @private
+   */
+  _sendRequestError(res, error) {
+    const { status, type, code } = this._describeRequestError(error)
+    this._sendError(res, status, error.message, type, code)
+  }
+
+  /**
+   * Map a failed mesh request onto an HTTP status and OpenAI error type
+   *
+   * Errors the worker marks non-retryable (unsupported roles or content,
+   * invalid sampling options, a prompt too long for the context) would
+   * fail on any worker, so they are the caller's problem (400). Worker
+   * and transport failures are upstream (502).
+   *
+   * @private
+   * @returns {object} - { status, type, code }
+   */
+  _describeRequestError(error) {
+    if (error.code === 'context_overflow') {
+      return { status: 400, type: 'invalid_request_error', code: 'context_length_exceeded' }
+    }
+
+    if (error.retryable === false) {
+      return { status: 400, type: 'invalid_request_error', code: null }
+    }
+
+    return { status: 502, type: 'server_error', code: null }
+  }
+
+  /**
+   * Build an OpenAI error object
+   *
+   * @private
+   */
+  _errorBody(message, type, code = null) {
+    return {
+      message,
+      type,
+      code
+    }
+  }
+
+  /**
+   * Begin a Server-Sent Events response
+   *
+   * @private
+   */
+  _startEventStream(res) {
+    res.statusCode = 200
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+  }
+
+  /**
+   * Write one SSE data event
+   *
+   * @private
+   */
+  _sendEvent(res, body) {
+    res.write(`data: ${JSON.stringify(body)}\n\n`)
+  }
+
+  /**
+   * Terminate an SSE response with the OpenAI [DONE] sentinel
+   *
+   * @private
+   */
+  _endEventStream(res) {
+    res.write('data: [DONE]\n\n')
+    res.end()
+  }
+
+  /**
+   * Generate a completion id suffix
+   *
+   * @private
+   */
+  _generateId() {
+    return b4a.toString(crypto.randomBytes(12), 'hex')
+  }
+
+  /**
+   * Current time in Unix seconds
+   *
+   * @private
+   */
+  _now() {
+    return Math.floor(Date.now() / 1000)
+  }
+}
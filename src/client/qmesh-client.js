@@ -5,8 +5,24 @@
  *
  * Features:
  * - Automatic worker discovery
- * - Health-based worker selection
+ * - Worker selection by health and observed latency, speed and failures
+ * - Batch generation (generateBatch) spread over all workers by capacity
+ * - Model-aware routing (options.model)
+ * - Signature checks on worker messages (spoofed messages are dropped)
+ * - End-to-end encrypted prompts and results (workers advertising 'e2e')
+ * - Automatic retry and failover to other workers
+ * - Cancellation via AbortSignal (stops generation on the worker)
  * - Request/response handling
+ * - Chat completions with multi-turn messages
+ * - Token streaming (callback or async iterator)
+ * - Embeddings (embed), batched and pinned to one embedding model
+ * - Token counting (countTokens) to budget prompts against a model's context
+ * - Schema-constrained JSON output (generateJSON, or options.grammar /
+ *   options.jsonSchema), routed to workers advertising constrained decoding
+ * - Owner-signed admin commands (e.g. hot-swapping a worker's model)
+ * - Signed work receipts for completed requests (the worker's proof of service)
+ * - Spot checks: a sampled fraction of requests also runs on a second
+ *   worker and the outputs are compared (see getWorkers() reputation)
  * - Timeout and error handling
  *
  * Usage:
@@ -15,14 +31,63 @@
  *   await client.connect()
  *   const result = await client.generate('Tell me a joke')
  *   console.log(result.text)
+ *
+ *   for await (const token of client.stream('Tell me a story')) {
+ *     process.stdout.write(token)
+ *   }
+ *
  *   await client.disconnect()
  */
 
 import EventEmitter from 'bare-events'
 import { NetworkManager } from '../lib/network-manager.js'
+import { Identity } from '../lib/identity.js'
+import { modelMatches } from '../lib/model-info.js'
+import { validateMessage } from '../lib/protocol.js'
+import { createEphemeralKeyPair, toCurvePublicKey, seal, open } from '../lib/sealed-box.js'
+import { createReceipt } from '../lib/receipt.js'
+import { validateSamplingOptions, pickSamplingOptions, isConstrained } from '../lib/sampling.js'
+import { checkSchema, validateJson } from '../lib/json-schema.js'
+import clientDefaults from '../config/client-defaults.js'
 import crypto from 'bare-crypto'
 import b4a from 'b4a'
 
+// Message types sent by workers (signed with the worker's identity)
+const WORKER_MESSAGE_TYPES = [
+  'status',
+  'inference_result',
+  'inference_done',
+  'inference_chunk',
+  'inference_error',
+  'embedding_result',
+  'tokenize_result',
+  'queued',
+  'sealed',
+  'admin_result'
+]
+
+// Worker replies that may arrive inside a sealed envelope
+const SEALED_REPLY_TYPES = [
+  'inference_result',
+  'inference_done',
+  'inference_chunk',
+  'inference_error',
+  'embedding_result',
+  'tokenize_result',
+  'queued'
+]
+
+// Weight of the newest sample in per-worker moving averages (see getWorkers() stats)
+const STATS_ALPHA = 0.2
+
+// Observed values that halve a worker's selection score
+const RTT_REFERENCE = 500    // ms of network and queueing overhead
+const TTFT_REFERENCE = 1000  // ms until the first streamed token
+const TPS_REFERENCE = 20     // tokens per second
+
+// Replies that carry generated text (never accepted in plaintext for an encrypted request)
+const PAYLOAD_TYPES = ['inference_result', 'inference_done', 'inference_chunk', 'embedding_result']
+
 /**
  * QMeshClient - Client for distributed LLM inference
  */
@@ -34,9 +99,21 @@ export class QMeshClient extends EventEmitter {
       networkTopic: options.networkTopic || 'qmesh-inference',
       discoveryTimeout: options.discoveryTimeout || 5000, // 5 seconds
       requestTimeout: options.requestTimeout || 60000,   // 60 seconds
+      retries: options.retries ?? clientDefaults.selection.retries,          // Failover attempts after the first
+      retryDelay: options.retryDelay ?? clientDefaults.selection.retryDelay, // Base backoff delay (doubles each retry)
+      encryption: options.encryption || 'preferred',     // 'preferred', 'required' or 'off'
+      receipts: options.receipts ?? true,                // Sign a receipt for each completed request
+      verifyRate: options.verifyRate ?? 0,               // Fraction of requests spot-checked on a second worker (0-1)
+      verifySeed: options.verifySeed ?? 42,              // Seed pinned on spot-checked requests that set none
+      embedBatchSize: options.embedBatchSize || 32,      // Texts per embed request
+      selectionJitter: options.selectionJitter ?? 0.1,   // Random share of a worker's selection score (0-1)
       ...options
     }
 
+    // Swarm keypair and receipt signer (pass options.identity to keep the
+    // same client key across sessions, e.g. for priority credits)
+    this.identity = this.config.identity || null
+
     // Network
     this.network = null
     this.topicKey = null
@@ -45,8 +122,16 @@ export class QMeshClient extends EventEmitter {
     // Worker tracking
     this.workers = new Map() // workerId -> { health, lastSeen, peerId }
 
+    // Spot check outcomes, kept when a worker goes away: workerId -> { checks, mismatches }
+    this.reputation = new Map()
+
+    // Moving averages of what this client observed, also kept when a worker
+    // goes away: workerId -> { rtt, ttft, tokensPerSecond, failureRate, samples }
+    this.workerStats = new Map()
+
     // Pending requests
     this.pendingRequests = new Map() // requestId -> { resolve, reject, timeout }
+    this.pendingAdmin = new Map()    // requestId -> { resolve, reject, timeout, workerId }
   }
 
   /**
@@ -61,7 +146,8 @@ export class QMeshClient extends EventEmitter {
 
     try {
       // Initialize network manager
-      this.network = new NetworkManager()
+      this.identity = this.identity || Identity.generate()
+      this.network = new NetworkManager({ role: 'client', keyPair: this.identity.keyPair })
 
       // Set up event handlers
       this.network.on('peer-connected', (peerId, conn, info) => {
@@ -77,6 +163,14 @@ export class QMeshClient extends EventEmitter {
           }
         }
 
+        // Fail requests in flight on this peer now rather than at timeout
+        for (const [requestId, pending] of this.pendingRequests.entries()) {
+          if (pending.peerId === peerId) {
+            this._releaseRequest(requestId, pending)
+            pending.reject(this._requestError(`Worker ${pending.workerId} disconnected`, 'PEER_DISCONNECTED', pending.workerId))
+          }
+        }
+
         this.emit('peer-disconnected', peerId)
       })
 
@@ -114,10 +208,15 @@ export class QMeshClient extends EventEmitter {
 
     // Reject all pending requests
     for (const [requestId, pending] of this.pendingRequests.entries()) {
+      this._releaseRequest(requestId, pending)
+      pending.reject(new Error('Client disconnected'))
+    }
+
+    for (const pending of this.pendingAdmin.values()) {
       clearTimeout(pending.timeout)
       pending.reject(new Error('Client disconnected'))
-      this.pendingRequests.delete(requestId)
     }
+    this.pendingAdmin.clear()
 
     // Cleanup network
     if (this.network) {
@@ -158,244 +257,1613 @@ export class QMeshClient extends EventEmitter {
    * @param {string} prompt - Text prompt
    * @param {object} options - Generation options
    * @param {number} options.maxTokens - Maximum tokens to generate
-   * @param {number} options.temperature - Sampling temperature (0-1)
+   * @param {number} options.temperature - Sampling temperature (0 = greedy)
+   * @param {number} options.seed - Sampling seed; result.seed is the one used, so any result can be replayed
+   * @param {number} options.topP - Other sampling options: topP, topK, minP, repeatPenalty,
+   *   repeatLastN, presencePenalty, frequencyPenalty, stop, logitBias, mirostat,
+   *   mirostatTau, mirostatEta (see src/lib/sampling.js; workers clamp them to their policy)
+   * @param {string} options.grammar - GBNF grammar the output must match
+   * @param {object} options.jsonSchema - JSON Schema the output must match (see generateJSON())
    * @param {number} options.timeout - Request timeout in ms
+   * @param {number} options.retries - Failover attempts (default: from config)
+   * @param {AbortSignal} options.signal - Aborts the request and cancels it on the worker
+   * @param {string} options.model - Only use workers hosting this model (e.g. 'tinyllama')
    * @returns {Promise<object>} - Generation result
    */
   async generate(prompt, options = {}) {
-    if (!this.isConnected) {
-      throw new Error('Client not connected. Call connect() first.')
-    }
-
-    // Select best worker
-    const worker = this._selectBestWorker()
+    return this._sendRequest('prompt', { prompt }, options)
+  }
 
-    if (!worker) {
-      throw new Error('No workers available')
+  /**
+   * Generate a JSON value matching a schema
+   *
+   * The schema is sent as a decoding constraint, so only workers that
+   * advertise constrained decoding are used. The result is still parsed
+   * and checked on arrival; output that is not valid JSON or does not
+   * match the schema (e.g. cut off by maxTokens) counts as a failed
+   * attempt, earns the worker no receipt, and the request is retried on
+   * a different worker.
+   *
+   * @param {string} prompt - Text prompt
+   * @param {object} schema - JSON Schema (see src/lib/json-schema.js for the keywords checked)
+   * @param {object} options - Generation options (same as generate())
+   * @returns {Promise<object>} - Generation result, with the parsed value as result.data
+   * @throws {Error} - With code INVALID_SCHEMA if the schema cannot be checked (e.g. a bad pattern)
+   */
+  async generateJSON(prompt, schema, options = {}) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error('schema must be a JSON Schema object')
     }
 
-    // Generate request ID
-    const requestId = this._generateRequestId()
-
-    // Create request message
-    const requestMessage = {
-      type: 'prompt',
-      requestId,
-      prompt,
-      options: {
-        maxTokens: options.maxTokens,
-        temperature: options.temperature
-      },
-      timestamp: Date.now()
+    // Nothing is sent for a schema the output could never be checked against
+    const invalid = checkSchema(schema)
+    if (invalid) {
+      const error = new Error(`Invalid schema: ${invalid}`)
+      error.code = 'INVALID_SCHEMA'
+      error.retryable = false
+      throw error
     }
 
-    // Send request and wait for response
-    return new Promise((resolve, reject) => {
-      const timeout = options.timeout || this.config.requestTimeout
-
-      // Set timeout
-      const timeoutId = setTimeout(() => {
-        this.pendingRequests.delete(requestId)
-        reject(new Error(`Request timeout after ${timeout}ms`))
-      }, timeout)
-
-      // Store pending request
-      this.pendingRequests.set(requestId, {
-        resolve,
-        reject,
-        timeout: timeoutId,
-        workerId: worker.workerId,
-        startTime: Date.now()
-      })
+    return this._sendRequest('prompt', { prompt }, { ...options, jsonSchema: schema }, null, { accept: (result) => {
+      let data
 
-      // Send request
       try {
-        this.network.sendMessage(worker.peerId, requestMessage)
-        this.emit('request-sent', worker.workerId, requestId, prompt)
-
+        data = JSON.parse(result.text)
       } catch (error) {
-        clearTimeout(timeoutId)
-        this.pendingRequests.delete(requestId)
-        reject(error)
+        throw this._requestError(`Worker ${result.workerId} returned invalid JSON: ${error.message}`, 'INVALID_OUTPUT', result.workerId)
       }
-    })
+
+      const problem = validateJson(data, schema)
+      if (problem) {
+        throw this._requestError(`Worker ${result.workerId} returned JSON not matching the schema: ${problem}`, 'INVALID_OUTPUT', result.workerId)
+      }
+
+      return { ...result, data }
+    } })
   }
 
   /**
-   * Handle incoming P2P message
+   * Generate text for many prompts, spread across all available workers
    *
-   * @private
+   * Up to options.concurrency prompts are in flight at once (default:
+   * the combined concurrency workers advertise). Each prompt goes to the
+   * worker with the fewest of this client's requests per advertised
+   * slot, so work is shared in proportion to capacity and no worker is
+   * sent more than it can run without queueing while others have room.
+   * Failed prompts fail over to other workers like generate() does; a
+   * prompt that still fails does not stop the rest of the batch.
+   *
+   * Emits 'batch-progress' ({ batchId, index, completed, failed, total,
+   * workerId, error }) as each prompt settles.
+   *
+   * @param {string[]} prompts - Text prompts
+   * @param {object} options - Generation options (same as generate()), plus:
+   * @param {number} options.concurrency - Most prompts in flight at once
+   * @param {Function} options.onProgress - Called with the 'batch-progress' object
+   * @returns {Promise<object[]>} - One entry per prompt, in input order, shaped like
+   *   Promise.allSettled(): { status: 'fulfilled', value } or { status: 'rejected', reason }
    */
-  _handleMessage(peerId, message) {
-    switch (message.type) {
-      case 'status':
-        this._handleWorkerStatus(peerId, message)
-        break
+  async generateBatch(prompts, options = {}) {
+    if (!Array.isArray(prompts) || prompts.length === 0 || prompts.some(prompt => typeof prompt !== 'string' || prompt.length === 0)) {
+      throw new Error('prompts must be a non-empty array of non-empty strings')
+    }
 
-      case 'inference_result':
-        this._handleInferenceResult(message)
-        break
+    const { concurrency, onProgress, ...generateOptions } = options
 
-      case 'inference_error':
-        this._handleInferenceError(message)
-        break
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new Error('concurrency must be a positive integer')
+    }
 
-      default:
-        this.emit('unknown-message', peerId, message)
+    if (!this.isConnected) {
+      throw new Error('Client not connected. Call connect() first.')
     }
-  }
 
-  /**
-   * Handle worker status broadcast
-   *
-   * @private
-   */
-  _handleWorkerStatus(peerId, message) {
-    const { workerId, health } = message
+    const invalid = validateSamplingOptions(generateOptions)
+    if (invalid) {
+      throw new Error(invalid)
+    }
 
-    // Update or add worker
-    const existingWorker = this.workers.get(workerId)
+    const workers = this._eligibleWorkers(new Set(), { model: generateOptions.model, constrained: isConstrained(generateOptions) })
+    if (workers.length === 0) {
+      throw new Error(generateOptions.model ? `No workers available for model ${generateOptions.model}` : 'No workers available')
+    }
 
-    if (!existingWorker) {
-      // New worker discovered
-      this.workers.set(workerId, {
-        workerId,
-        peerId,
-        health,
-        lastSeen: Date.now()
-      })
+    const batchId = this._generateRequestId()
+    const total = prompts.length
+    const results = new Array(total)
+    const select = (excluded, needs) => this._selectBatchWorker(excluded, needs)
+    let next = 0
+    let completed = 0
+    let failed = 0
 
-      this.emit('worker-discovered', workerId, health)
+    const settle = (index, entry, workerId) => {
+      results[index] = entry
 
-    } else {
-      // Update existing worker
-      existingWorker.health = health
-      existingWorker.lastSeen = Date.now()
+      if (entry.status === 'fulfilled') completed++
+      else failed++
 
-      this.emit('worker-updated', workerId, health)
+      const progress = { batchId, index, completed, failed, total, workerId, error: entry.reason || null }
+      this.emit('batch-progress', progress)
+      if (onProgress) onProgress(progress)
     }
+
+    // Each lane takes the next prompt as soon as its previous one settles
+    const lane = async () => {
+      while (next < total) {
+        const index = next++
+
+        if (generateOptions.signal?.aborted) {
+          settle(index, { status: 'rejected', reason: this._abortError(generateOptions.signal) }, null)
+          continue
+        }
+
+        try {
+          const value = await this._sendRequest('prompt', { prompt: prompts[index] }, generateOptions, null, { select })
+          settle(index, { status: 'fulfilled', value }, value.workerId)
+        } catch (error) {
+          settle(index, { status: 'rejected', reason: error }, error.workerId || null)
+        }
+      }
+    }
+
+    const slots = workers.reduce((sum, worker) => sum + this._workerSlots(worker), 0)
+    const lanes = Math.min(total, concurrency || slots)
+
+    await Promise.all(Array.from({ length: lanes }, lane))
+
+    return results
   }
 
   /**
-   * Handle inference result
+   * Generate text with token streaming using the best available worker
    *
-   * @private
+   * Tokens are delivered in order as the worker produces them. The
+   * returned promise resolves with the final result once the worker
+   * sends inference_done. The timeout is an idle timeout: it restarts
+   * whenever a chunk arrives.
+   *
+   * @param {string} prompt - Text prompt
+   * @param {Function} onToken - Called with (token, seq) for each chunk
+   * @param {object} options - Generation options (same as generate())
+   * @returns {Promise<object>} - Generation result
    */
-  _handleInferenceResult(message) {
-    const { requestId, result, workerId } = message
+  async generateStream(prompt, onToken, options = {}) {
+    return this._sendRequest('prompt', { prompt }, options, onToken)
+  }
 
-    const pending = this.pendingRequests.get(requestId)
-    if (!pending) {
-      return // Unknown or timed-out request
+  /**
+   * Stream tokens as an async iterator
+   *
+   * The final generation result is the iterator's return value. Leaving
+   * the loop early (break, return or throw) cancels the request on the
+   * worker.
+   *
+   * @param {string} prompt - Text prompt
+   * @param {object} options - Generation options (same as generate())
+   * @returns {AsyncGenerator<string>} - Token iterator
+   */
+  async * stream(prompt, options = {}) {
+    const tokens = []
+    let finished = false
+    let failure = null
+    let result = null
+    let notify = null
+
+    // Cancelled by the caller's signal or by leaving the loop
+    const controller = new AbortController()
+    const { signal } = options
+    const onAbort = () => controller.abort(signal.reason)
+
+    if (signal) {
+      if (signal.aborted) onAbort()
+      else signal.addEventListener('abort', onAbort)
     }
 
-    // Clear timeout
-    clearTimeout(pending.timeout)
-    this.pendingRequests.delete(requestId)
+    const wake = () => {
+      if (notify) {
+        notify()
+        notify = null
+      }
+    }
 
-    // Resolve promise
-    pending.resolve({
-      ...result,
-      workerId,
-      requestDuration: Date.now() - pending.startTime
+    this.generateStream(prompt, (token) => {
+      tokens.push(token)
+      wake()
+    }, { ...options, signal: controller.signal }).then(
+      (res) => { result = res },
+      (error) => { failure = error }
+    ).finally(() => {
+      finished = true
+      wake()
     })
 
-    this.emit('request-completed', requestId, workerId, result)
+    try {
+      while (true) {
+        if (tokens.length > 0) {
+          yield tokens.shift()
+          continue
+        }
+
+        if (failure) throw failure
+        if (finished) return result
+
+        await new Promise(resolve => { notify = resolve })
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      if (!finished) controller.abort()
+    }
   }
 
   /**
-   * Handle inference error
+   * Chat completion using the best available worker
    *
-   * @private
+   * The worker applies the model's own chat template to the messages.
+   *
+   * @param {Array<{role: string, content: string}>} messages - Conversation (system/user/assistant)
+   * @param {object} options - Generation options (same as generate())
+   * @returns {Promise<object>} - Generation result
    */
-  _handleInferenceError(message) {
-    const { requestId, error, workerId } = message
+  async chat(messages, options = {}) {
+    this._assertChatMessages(messages)
+    return this._sendRequest('chat', { messages }, options)
+  }
 
-    const pending = this.pendingRequests.get(requestId)
-    if (!pending) {
-      return // Unknown or timed-out request
+  /**
+   * Chat completion with token streaming
+   *
+   * @param {Array<{role: string, content: string}>} messages - Conversation (system/user/assistant)
+   * @param {Function} onToken - Called with (token, seq) for each chunk
+   * @param {object} options - Generation options (same as generate())
+   * @returns {Promise<object>} - Generation result
+   */
+  async chatStream(messages, onToken, options = {}) {
+    this._assertChatMessages(messages)
+    return this._sendRequest('chat', { messages }, options, onToken)
+  }
+
+  /**
+   * Embed texts using workers that serve an embedding model
+   *
+   * Texts are sent in batches of options.batchSize, each with the usual
+   * retry and failover. Vectors from different models can't be compared,
+   * so without options.model every batch goes to the model that served
+   * the first one.
+   *
+   * @param {string[]} texts - Texts to embed
+   * @param {object} options - Embedding options
+   * @param {string} options.model - Only use workers hosting this embedding model
+   * @param {number} options.batchSize - Texts per request (default: config.embedBatchSize)
+   * @param {number} options.timeout - Per-batch timeout in ms
+   * @param {number} options.retries - Failover attempts per batch (default: from config)
+   * @param {AbortSignal} options.signal - Aborts the remaining batches
+   * @returns {Promise<object>} - { embeddings, model, dimension, promptTokens, workerIds }
+   */
+  async embed(texts, options = {}) {
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string' || text.length === 0)) {
+      throw new Error('texts must be a non-empty array of non-empty strings')
     }
 
-    // Clear timeout
-    clearTimeout(pending.timeout)
-    this.pendingRequests.delete(requestId)
+    const batchSize = options.batchSize || this.config.embedBatchSize
+    const embeddings = []
+    const workerIds = new Set()
+    let model = options.model
+    let dimension = null
+    let promptTokens = 0
 
-    // Reject promise
-    pending.reject(new Error(`Worker ${workerId}: ${error}`))
+    for (let start = 0; start < texts.length; start += batchSize) {
+      const result = await this._sendRequest('embed', { texts: texts.slice(start, start + batchSize) }, { ...options, model })
 
-    this.emit('request-failed', requestId, workerId, error)
+      model = model || result.model
+      dimension = dimension ?? result.dimension
+
+      if (result.dimension !== dimension) {
+        throw new Error(`Worker ${result.workerId} returned ${result.dimension}-dimensional embeddings, expected ${dimension}`)
+      }
+
+      embeddings.push(...result.embeddings)
+      promptTokens += result.promptTokens || 0
+      workerIds.add(result.workerId)
+    }
+
+    return {
+      embeddings,
+      model,
+      dimension,
+      promptTokens,
+      workerIds: [...workerIds]
+    }
   }
 
   /**
-   * Select the best available worker based on health score
+   * Count the tokens a prompt or conversation takes up on a model
    *
-   * @private
-   * @returns {object|null} - Worker info or null if none available
+   * Workers reject requests whose prompt plus maxTokens exceeds the
+   * context (code context_overflow), so callers can check first and
+   * trim the input. Conversations are counted with the model's chat
+   * template applied.
+   *
+   * @param {string|Array<{role: string, content: string}>} text - Prompt or chat messages
+   * @param {object} options - { model, timeout, retries, signal }
+   * @returns {Promise<object>} - { tokens, contextSize, model, workerId }
    */
-  _selectBestWorker() {
-    let bestWorker = null
-    let bestScore = -1
-
-    for (const worker of this.workers.values()) {
-      // Skip workers that can't accept requests
-      if (!worker.health.canAcceptRequests) {
-        continue
-      }
+  async countTokens(text, options = {}) {
+    let payload
 
-      // Select worker with highest health score
-      if (worker.health.score > bestScore) {
-        bestScore = worker.health.score
-        bestWorker = worker
-      }
+    if (typeof text === 'string') {
+      payload = { text }
+    } else {
+      this._assertChatMessages(text)
+      payload = { messages: text }
     }
 
-    return bestWorker
+    const result = await this._sendRequest('tokenize', payload, options)
+
+    return {
+      tokens: result.tokens,
+      contextSize: result.contextSize,
+      model: result.model,
+      workerId: result.workerId
+    }
   }
 
   /**
-   * Generate a unique request ID
+   * Replace the model on a worker you own
    *
-   * @private
-   * @returns {string} - Request ID
+   * The worker loads the new model next to the current one and switches
+   * once it is warm, without dropping requests.
+   *
+   * @param {string} workerId - Target worker
+   * @param {object} model - { modelPath (on the worker), id?, contextSize?, target? }
+   * @param {object} options - Admin options (see adminCommand())
+   * @returns {Promise<object>} - { model } - New model description
    */
-  _generateRequestId() {
-    const random = crypto.randomBytes(8)
-    return b4a.toString(random, 'hex')
+  async swapModel(workerId, model, options = {}) {
+    return this.adminCommand(workerId, 'swap_model', model, options)
   }
 
   /**
-   * Get all discovered workers
+   * Send an admin command to a worker
    *
-   * @returns {object[]} - Array of worker info
+   * The command is signed with the owner identity, whose public key
+   * must match the worker's ownerKey.
+   *
+   * @param {string} workerId - Target worker
+   * @param {string} command - Admin command (e.g. 'swap_model')
+   * @param {object} params - Command parameters
+   * @param {object} options - Admin options
+   * @param {Identity} options.identity - Owner identity (required)
+   * @param {number} [options.timeout] - Response timeout in ms (default: 5 minutes)
+   * @returns {Promise<object>} - Command result
    */
-  getWorkers() {
-    return Array.from(this.workers.values()).map(worker => ({
-      workerId: worker.workerId,
-      health: worker.health,
-      lastSeen: worker.lastSeen
-    }))
+  async adminCommand(workerId, command, params = {}, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Client not connected. Call connect() first.')
+    }
+
+    if (!options.identity) {
+      throw new Error('Owner identity is required for admin commands')
+    }
+
+    const worker = this.workers.get(workerId)
+    if (!worker) {
+      throw new Error(`Unknown worker: ${workerId}`)
+    }
+
+    const requestId = this._generateRequestId()
+    const message = options.identity.sign({
+      type: 'admin',
+      requestId,
+      command,
+      params,
+      timestamp: Date.now()
+    })
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pendingAdmin.delete(requestId)
+        reject(new Error(`Admin command ${command} timed out`))
+      }, options.timeout || 300000)
+
+      this.pendingAdmin.set(requestId, { resolve, reject, timeout, workerId })
+
+      try {
+        this.network.sendMessage(worker.peerId, message)
+      } catch (error) {
+        clearTimeout(timeout)
+        this.pendingAdmin.delete(requestId)
+        reject(error)
+      }
+    })
   }
 
   /**
-   * Get worker count
+   * Validate a chat messages array before sending it
    *
-   * @returns {number} - Number of workers
+   * @private
    */
-  getWorkerCount() {
-    return this.workers.size
+  _assertChatMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('messages must be a non-empty array')
+    }
   }
 
   /**
-   * Get client status
+   * Send an inference request, failing over to other workers on error
    *
-   * @returns {object} - Client status
+   * A worker that returns inference_error, times out or disconnects is
+   * excluded and the request is retried on the next best worker after
+   * an exponential backoff (retryDelay * 2^attempt). Streaming requests
+   * are only retried while no token has been delivered yet.
+   *
+   * With config.verifyRate set, that fraction of deterministic requests
+   * (see _isVerifiable()) is also sent to a second worker hosting the
+   * same model; see _spotCheck(). The caller's options are not changed.
+   *
+   * @private
+   * @param {string} type - Request message type ('prompt', 'chat', 'embed' or 'tokenize')
+   * @param {object} payload - Request body ({ prompt }, { messages }, { texts } or { text })
+   * @param {object} options - Generation options
+   * @param {Function} [onToken] - Streaming callback (enables streaming)
+   * @param {object} [hooks] - Per-call overrides
+   * @param {Function} [hooks.accept] - Checks a result; returns the result to deliver or throws to retry elsewhere
+   * @param {Function} [hooks.select] - Picks the worker for an attempt (default: _selectBestWorker)
+   * @returns {Promise<object>} - Generation result
    */
-  getStatus() {
-    return {
-      isConnected: this.isConnected,
-      topicKey: this.topicKey,
-      workerCount: this.workers.size,
-      pendingRequests: this.pendingRequests.size
+  async _sendRequest(type, payload, options, onToken = null, { accept = null, select = null } = {}) {
+    if (!this.isConnected) {
+      throw new Error('Client not connected. Call connect() first.')
     }
-  }
+
+    // Workers reject these too; failing here saves a round trip per retry
+    const invalid = validateSamplingOptions(options)
+    if (invalid) {
+      throw new Error(invalid)
+    }
+
+    const retries = options.retries ?? this.config.retries
+    const inference = type === 'prompt' || type === 'chat'
+    const needs = { model: options.model, constrained: isConstrained(options), embedding: type === 'embed' }
+    const excluded = new Set()
+    let tokensDelivered = false
+    let lastError = null
+
+    const verify = inference && !onToken && this._isVerifiable(options) && Math.random() < this.config.verifyRate
+    if (verify && (options.seed === undefined || options.seed === null)) {
+      // Greedy decoding ignores the seed; pinning it keeps both runs identical
+      options = { ...options, seed: this.config.verifySeed }
+    }
+
+    const trackedOnToken = onToken && ((token, seq) => {
+      tokensDelivered = true
+      onToken(token, seq)
+    })
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (options.signal?.aborted) {
+        throw this._abortError(options.signal)
+      }
+
+      // Select best worker not yet tried
+      const worker = select ? select(excluded, needs) : this._selectBestWorker(excluded, needs)
+
+      if (!worker) {
+        if (lastError) throw lastError
+        if (needs.constrained) throw new Error('No workers available with constrained decoding')
+        if (options.model) throw new Error(`No workers available for model ${options.model}`)
+        throw new Error(needs.embedding ? 'No workers available with an embedding model' : 'No workers available')
+      }
+
+      try {
+        const request = this._sendToWorker(worker, type, payload, options, trackedOnToken, accept)
+
+        if (verify && attempt === 0) {
+          this._spotCheck(worker, request, excluded, type, payload, options)
+        }
+
+        return await request
+
+      } catch (error) {
+        lastError = error
+
+        if (!error.retryable || tokensDelivered || !this.isConnected) {
+          throw error
+        }
+
+        excluded.add(worker.workerId)
+
+        if (attempt < retries) {
+          this.emit('request-retry', worker.workerId, attempt + 1, error)
+          await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * 2 ** attempt))
+        }
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * Send an inference request to one worker and wait for the result
+   *
+   * @private
+   * @param {object} worker - Target worker
+   * @param {string} type - Request message type ('prompt' or 'chat')
+   * @param {object} payload - Request body ({ prompt } or { messages })
+   * @param {object} options - Generation options
+   * @param {Function} [onToken] - Streaming callback (enables streaming)
+   * @param {Function} [accept] - Checks the result before it counts as delivered (see _sendRequest())
+   * @returns {Promise<object>} - Generation result
+   */
+  _sendToWorker(worker, type, payload, options, onToken, accept = null) {
+    // Generate request ID
+    const requestId = this._generateRequestId()
+
+    // Create request message
+    const requestMessage = {
+      type,
+      requestId,
+      ...payload,
+      timestamp: Date.now()
+    }
+
+    if (type === 'prompt' || type === 'chat') {
+      requestMessage.options = pickSamplingOptions(options)
+    }
+
+    if (options.model) {
+      requestMessage.model = options.model
+    }
+
+    if (onToken) {
+      requestMessage.stream = true
+    }
+
+    // Encrypt to the worker's key when it supports it
+    let outgoing = requestMessage
+    let sealKeys = null
+
+    if (this._shouldEncrypt(worker)) {
+      const ephemeral = createEphemeralKeyPair()
+      const workerKey = toCurvePublicKey(worker.workerId)
+
+      outgoing = {
+        type: 'sealed',
+        requestId,
+        workerId: worker.workerId,
+        ephemeralKey: b4a.toString(ephemeral.publicKey, 'hex'),
+        ...seal(requestMessage, workerKey, ephemeral.secretKey)
+      }
+
+      sealKeys = { workerKey, secretKey: ephemeral.secretKey }
+    }
+
+    // Send request and wait for response
+    let pending = null
+
+    const request = new Promise((resolve, reject) => {
+      pending = {
+        resolve,
+        reject,
+        timeout: null,
+        timeoutMs: options.timeout || this.config.requestTimeout,
+        workerId: worker.workerId,
+        peerId: worker.peerId,
+        startTime: Date.now(),
+        onToken,
+        accept,
+        nextSeq: 0,
+        chunks: new Map(), // seq -> token (out-of-order chunks)
+        sealKeys           // Keys for sealed replies (null if plaintext)
+      }
+
+      // Store pending request
+      this.pendingRequests.set(requestId, pending)
+      this._armRequestTimeout(requestId, pending)
+
+      // Cancel on the worker when the caller aborts
+      const { signal } = options
+      if (signal) {
+        const onAbort = () => this._abortRequest(requestId, pending, signal)
+        signal.addEventListener('abort', onAbort)
+        pending.cleanup = () => signal.removeEventListener('abort', onAbort)
+      }
+
+      // Send request
+      try {
+        this.network.sendMessage(worker.peerId, outgoing)
+        this.emit('request-sent', worker.workerId, requestId, payload.prompt ?? payload.text ?? payload.messages ?? payload.texts)
+
+      } catch (error) {
+        this._releaseRequest(requestId, pending)
+        reject(this._requestError(error.message, 'SEND_FAILED', worker.workerId))
+      }
+    })
+
+    request.then(
+      (result) => this._recordSuccess(worker.workerId, pending, result),
+      (error) => this._recordFailure(worker.workerId, error)
+    )
+
+    return request
+  }
+
+  /**
+   * Run the same request on a second worker and compare the outputs
+   *
+   * The checker must host the model the first worker is serving. When
+   * both succeed, a mismatch counts against both workers' reputation
+   * (two results cannot say which one is wrong). Failed runs are not
+   * compared. The caller gets the first worker's result without waiting
+   * for the check.
+   *
+   * @private
+   * @param {object} worker - Worker serving the request
+   * @param {Promise<object>} request - Its pending result
+   * @param {Set<string>} excluded - Workers not to use
+   */
+  _spotCheck(worker, request, excluded, type, payload, options) {
+    const model = options.model || (worker.models[0] && worker.models[0].id)
+    const checker = this._selectBestWorker(new Set([...excluded, worker.workerId]), { model, constrained: isConstrained(options) })
+
+    if (!checker) {
+      this.emit('spot-check-skipped', worker.workerId, 'no second worker')
+      return
+    }
+
+    const check = this._sendToWorker(checker, type, payload, { ...options, model })
+
+    Promise.allSettled([request, check]).then(([first, second]) => {
+      if (first.status !== 'fulfilled' || second.status !== 'fulfilled') {
+        return
+      }
+
+      const match = this._resultsMatch(first.value, second.value)
+
+      for (const workerId of [worker.workerId, checker.workerId]) {
+        const entry = this.reputation.get(workerId) || { checks: 0, mismatches: 0 }
+        entry.checks++
+        if (!match) entry.mismatches++
+        this.reputation.set(workerId, entry)
+      }
+
+      this.emit('spot-check', {
+        workerIds: [worker.workerId, checker.workerId],
+        match,
+        texts: [first.value.text, second.value.text]
+      })
+    })
+  }
+
+  /**
+   * Check whether a request can be spot-checked
+   *
+   * Only greedy requests qualify: temperature 0, with maxTokens set so
+   * both workers stop at the same point instead of at their own
+   * defaults. A seed alone is not enough; sampled output still differs
+   * across hardware and llama-server builds.
+   *
+   * @private
+   * @param {object} options - Generation options
+   * @returns {boolean}
+   */
+  _isVerifiable(options) {
+    const pinned = options.maxTokens !== undefined && options.maxTokens !== null
+
+    return pinned && options.temperature === 0
+  }
+
+  /**
+   * Compare two deterministic results of the same request
+   *
+   * Both runs had the same seed and maxTokens, so they must end the same
+   * way with exactly the same text; a truncated answer does not match.
+   *
+   * @private
+   * @returns {boolean} - True if the results agree
+   */
+  _resultsMatch(a, b) {
+    return a.finishReason === b.finishReason && a.text === b.text
+  }
+
+  /**
+   * Get a worker's spot check record
+   *
+   * @private
+   * @returns {object} - { checks, mismatches, score } (score 0-1, 1 = never caught)
+   */
+  _getReputation(workerId) {
+    const { checks, mismatches } = this.reputation.get(workerId) || { checks: 0, mismatches: 0 }
+
+    return {
+      checks,
+      mismatches,
+      score: (checks - mismatches + 1) / (checks + 2)
+    }
+  }
+
+  /**
+   * Get a worker's observed statistics
+   *
+   * @private
+   * @returns {object} - { rtt, ttft, tokensPerSecond, failureRate, samples } (null = not measured yet)
+   */
+  _getWorkerStats(workerId) {
+    return this.workerStats.get(workerId) || {
+      rtt: null,
+      ttft: null,
+      tokensPerSecond: null,
+      failureRate: 0,
+      samples: 0
+    }
+  }
+
+  /**
+   * Fold a completed request into the worker's statistics
+   *
+   * RTT is the time the client waited beyond the worker's own processing
+   * time (result.duration): network round trip plus queueing.
+   *
+   * @private
+   * @param {string} workerId - Worker that served the request
+   * @param {object} pending - The request's pending entry
+   * @param {object} result - Delivered result
+   */
+  _recordSuccess(workerId, pending, result) {
+    const stats = { ...this._getWorkerStats(workerId) }
+
+    stats.rtt = ewma(stats.rtt, Math.max(0, Date.now() - pending.startTime - (result.duration || 0)))
+    stats.failureRate = ewma(stats.failureRate, 0)
+    stats.samples++
+
+    if (pending.firstChunkAt) {
+      stats.ttft = ewma(stats.ttft, pending.firstChunkAt - pending.startTime)
+    }
+
+    if (result.tokens > 0 && result.tokensPerSecond > 0) {
+      stats.tokensPerSecond = ewma(stats.tokensPerSecond, result.tokensPerSecond)
+    }
+
+    this.workerStats.set(workerId, stats)
+  }
+
+  /**
+   * Count a failed request against the worker's statistics
+   *
+   * Only retryable errors count: the others (aborts, invalid requests)
+   * would have failed on any worker.
+   *
+   * @private
+   * @param {string} workerId - Worker that failed
+   * @param {Error} error - Request error
+   */
+  _recordFailure(workerId, error) {
+    if (!error.retryable) {
+      return
+    }
+
+    const stats = { ...this._getWorkerStats(workerId) }
+
+    stats.failureRate = ewma(stats.failureRate, 1)
+    stats.samples++
+
+    this.workerStats.set(workerId, stats)
+  }
+
+  /**
+   * Create a retryable request error
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {string} code - WORKER_ERROR, TIMEOUT, PEER_DISCONNECTED, SEND_FAILED, PROTOCOL_ERROR,
+   *   or a code sent by the worker (e.g. ENGINE_CRASHED)
+   * @param {string} workerId - Worker that failed
+   * @returns {Error}
+   */
+  _requestError(message, code, workerId) {
+    const error = new Error(message)
+    error.code = code
+    error.workerId = workerId
+    error.retryable = true
+    return error
+  }
+
+  /**
+   * (Re)start the timeout for a pending request
+   *
+   * @private
+   */
+  _armRequestTimeout(requestId, pending) {
+    clearTimeout(pending.timeout)
+
+    pending.timeout = setTimeout(() => {
+      this._releaseRequest(requestId, pending)
+      this._sendCancel(requestId, pending)
+      pending.reject(this._requestError(`Request timeout after ${pending.timeoutMs}ms`, 'TIMEOUT', pending.workerId))
+    }, pending.timeoutMs)
+  }
+
+  /**
+   * Remove a pending request and release its timer and abort listener
+   *
+   * @private
+   */
+  _releaseRequest(requestId, pending) {
+    clearTimeout(pending.timeout)
+    this.pendingRequests.delete(requestId)
+
+    if (pending.cleanup) {
+      pending.cleanup()
+      pending.cleanup = null
+    }
+  }
+
+  /**
+   * Tell the worker to stop generating for a request
+   *
+   * @private
+   */
+  _sendCancel(requestId, pending) {
+    if (!this.network) {
+      return
+    }
+
+    try {
+      this.network.sendMessage(pending.peerId, {
+        type: 'cancel',
+        requestId,
+        timestamp: Date.now()
+      })
+      this.emit('request-cancelled', requestId, pending.workerId)
+    } catch (error) {
+      // Worker already gone; nothing left to cancel
+    }
+  }
+
+  /**
+   * Abort a pending request on behalf of an AbortSignal
+   *
+   * @private
+   */
+  _abortRequest(requestId, pending, signal) {
+    this._releaseRequest(requestId, pending)
+    this._sendCancel(requestId, pending)
+    pending.reject(this._abortError(signal))
+  }
+
+  /**
+   * Create the error used when a request is aborted
+   *
+   * @private
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {Error}
+   */
+  _abortError(signal) {
+    if (signal.reason instanceof Error) {
+      return signal.reason
+    }
+
+    const error = new Error('Request aborted')
+    error.name = 'AbortError'
+    error.code = 'ABORTED'
+    error.retryable = false
+    return error
+  }
+
+  /**
+   * Handle incoming P2P message
+   *
+   * @private
+   */
+  _handleMessage(peerId, message, sealed = false) {
+    if (WORKER_MESSAGE_TYPES.includes(message.type)) {
+      const reason = this._verifyWorkerMessage(peerId, message) ||
+        this._checkEncryption(message, sealed)
+
+      if (reason) {
+        this.emit('message-rejected', peerId, message, reason)
+        return
+      }
+    }
+
+    switch (message.type) {
+      case 'sealed':
+        this._handleSealed(peerId, message)
+        break
+
+      case 'status':
+        this._handleWorkerStatus(peerId, message)
+        break
+
+      case 'inference_result':
+      case 'inference_done':
+        this._handleInferenceResult(message)
+        break
+
+      case 'inference_chunk':
+        this._handleInferenceChunk(message)
+        break
+
+      case 'embedding_result':
+        this._handleEmbeddingResult(message)
+        break
+
+      case 'tokenize_result':
+        this._handleTokenizeResult(message)
+        break
+
+      case 'queued':
+        this._handleQueued(message)
+        break
+
+      case 'inference_error':
+        this._handleInferenceError(message)
+        break
+
+      case 'admin_result':
+        this._handleAdminResult(message)
+        break
+
+      case 'protocol_error':
+        this._handleProtocolError(peerId, message)
+        break
+
+      default:
+        this.emit('unknown-message', peerId, message)
+    }
+  }
+
+  /**
+   * Check that a worker message is authentic
+   *
+   * The workerId is the worker's ed25519 public key: the message must be
+   * signed by it, and must arrive over a connection authenticated with
+   * the same key (so a valid message replayed by another peer is dropped).
+   *
+   * @private
+   * @returns {string|null} - Rejection reason, or null if authentic
+   */
+  _verifyWorkerMessage(peerId, message) {
+    if (!Identity.verify(message, message.workerId)) {
+      return 'bad-signature'
+    }
+
+    const peerInfo = this.network.getPeerInfo(peerId)
+    if (!peerInfo || peerInfo.publicKey !== message.workerId) {
+      return 'peer-mismatch'
+    }
+
+    return null
+  }
+
+  /**
+   * Reject plaintext generated text for a request that was sent encrypted
+   *
+   * A worker that accepted a sealed request must seal its replies, so a
+   * plaintext result means a downgrade or a buggy worker.
+   *
+   * @private
+   * @returns {string|null} - Rejection reason, or null if acceptable
+   */
+  _checkEncryption(message, sealed) {
+    if (sealed || !PAYLOAD_TYPES.includes(message.type)) {
+      return null
+    }
+
+    const pending = this.pendingRequests.get(message.requestId)
+    return pending && pending.sealKeys ? 'unsealed-reply' : null
+  }
+
+  /**
+   * Handle a sealed worker reply
+   *
+   * The envelope was already verified as coming from the worker; the
+   * decrypted message is validated and verified again before dispatch.
+   *
+   * @private
+   */
+  _handleSealed(peerId, message) {
+    const pending = this._getPending(message)
+    if (!pending || !pending.sealKeys) {
+      return // Unknown request, or one we didn't encrypt
+    }
+
+    const inner = open(message, pending.sealKeys.workerKey, pending.sealKeys.secretKey)
+
+    if (!inner || validateMessage(inner) || !SEALED_REPLY_TYPES.includes(inner.type) || inner.requestId !== message.requestId) {
+      this.emit('message-rejected', peerId, message, 'bad-envelope')
+      return
+    }
+
+    this._handleMessage(peerId, inner, true)
+  }
+
+  /**
+   * Check whether a request to this worker should be encrypted
+   *
+   * @private
+   * @param {object} worker - Target worker
+   * @returns {boolean}
+   */
+  _shouldEncrypt(worker) {
+    return this.config.encryption !== 'off' && this._supportsEncryption(worker)
+  }
+
+  /**
+   * Check whether a worker advertised end-to-end encryption in its hello
+   *
+   * @private
+   * @param {object} worker - Worker info
+   * @returns {boolean}
+   */
+  _supportsEncryption(worker) {
+    const peerInfo = this.network && this.network.getPeerInfo(worker.peerId)
+    return Boolean(peerInfo && peerInfo.capabilities.includes('e2e'))
+  }
+
+  /**
+   * Look up the pending request a worker response belongs to
+   *
+   * @private
+   * @returns {object|null} - Pending request, or null if unknown or sent to another worker
+   */
+  _getPending(message) {
+    const pending = this.pendingRequests.get(message.requestId)
+    if (!pending || pending.workerId !== message.workerId) {
+      return null
+    }
+
+    return pending
+  }
+
+  /**
+   * Handle the reply to an admin command
+   *
+   * @private
+   */
+  _handleAdminResult(message) {
+    const pending = this.pendingAdmin.get(message.requestId)
+    if (!pending || pending.workerId !== message.workerId) {
+      return
+    }
+
+    clearTimeout(pending.timeout)
+    this.pendingAdmin.delete(message.requestId)
+
+    if (message.ok) {
+      pending.resolve(message.result || {})
+    } else {
+      pending.reject(new Error(`Admin command failed: ${message.error}`))
+    }
+  }
+
+  /**
+   * Handle worker status broadcast
+   *
+   * @private
+   */
+  _handleWorkerStatus(peerId, message) {
+    const { workerId, health, models = [], constrained = false } = message
+
+    // Update or add worker
+    const existingWorker = this.workers.get(workerId)
+
+    if (!existingWorker) {
+      // New worker discovered
+      this.workers.set(workerId, {
+        workerId,
+        peerId,
+        health,
+        models,
+        constrained,
+        lastSeen: Date.now()
+      })
+
+      this.emit('worker-discovered', workerId, health)
+
+    } else {
+      // Update existing worker
+      existingWorker.health = health
+      existingWorker.models = models
+      existingWorker.constrained = constrained
+      existingWorker.lastSeen = Date.now()
+
+      this.emit('worker-updated', workerId, health)
+    }
+  }
+
+  /**
+   * Handle queued acknowledgement (request waiting for a worker slot)
+   *
+   * @private
+   */
+  _handleQueued(message) {
+    const { requestId, workerId, position } = message
+
+    const pending = this._getPending(message)
+    if (!pending) {
+      return // Unknown or timed-out request
+    }
+
+    pending.queuePosition = position
+
+    // Waiting in a worker's queue counts as activity
+    this._armRequestTimeout(requestId, pending)
+
+    this.emit('request-queued', requestId, workerId, position)
+  }
+
+  /**
+   * Handle streamed token chunk
+   *
+   * Chunks are delivered to onToken strictly in sequence order;
+   * early arrivals are buffered until the gap is filled.
+   *
+   * @private
+   */
+  _handleInferenceChunk(message) {
+    const { requestId, seq, token } = message
+
+    const pending = this._getPending(message)
+    if (!pending || !pending.onToken) {
+      return // Unknown, timed-out or non-streaming request
+    }
+
+    if (seq < pending.nextSeq) {
+      return // Duplicate chunk
+    }
+
+    // Any chunk counts as activity
+    this._armRequestTimeout(requestId, pending)
+
+    pending.firstChunkAt = pending.firstChunkAt || Date.now()
+
+    pending.chunks.set(seq, token)
+    this._flushChunks(pending)
+  }
+
+  /**
+   * Deliver buffered chunks that are next in sequence
+   *
+   * @private
+   */
+  _flushChunks(pending) {
+    while (pending.chunks.has(pending.nextSeq)) {
+      const token = pending.chunks.get(pending.nextSeq)
+      pending.chunks.delete(pending.nextSeq)
+      pending.onToken(token, pending.nextSeq)
+      pending.nextSeq++
+    }
+  }
+
+  /**
+   * Handle inference result (inference_result or final inference_done)
+   *
+   * @private
+   */
+  _handleInferenceResult(message) {
+    const { requestId, result, workerId } = message
+
+    const pending = this._getPending(message)
+    if (!pending) {
+      return // Unknown or timed-out request
+    }
+
+    // Clear timeout
+    this._releaseRequest(requestId, pending)
+
+    // Deliver whatever is still buffered, skipping lost chunks
+    if (pending.onToken && pending.chunks.size > 0) {
+      for (const seq of [...pending.chunks.keys()].sort((a, b) => a - b)) {
+        pending.onToken(pending.chunks.get(seq), seq)
+      }
+      pending.chunks.clear()
+    }
+
+    let delivered = {
+      ...result,
+      workerId,
+      requestDuration: Date.now() - pending.startTime
+    }
+
+    // Output the caller rejects is a failed attempt, and earns no receipt
+    if (pending.accept) {
+      try {
+        delivered = pending.accept(delivered)
+      } catch (error) {
+        pending.reject(error)
+        return
+      }
+    }
+
+    // Resolve promise
+    pending.resolve(delivered)
+
+    this.emit('request-completed', requestId, workerId, result)
+
+    this._sendReceipt(requestId, pending, result)
+  }
+
+  /**
+   * Handle embedding vectors for a pending embed request
+   *
+   * Receipts cover generated text, so none is sent for embeddings.
+   *
+   * @private
+   */
+  _handleEmbeddingResult(message) {
+    const { requestId, result, workerId } = message
+
+    const pending = this._getPending(message)
+    if (!pending) {
+      return // Unknown or timed-out request
+    }
+
+    this._releaseRequest(requestId, pending)
+
+    if (!Array.isArray(result.embeddings)) {
+      pending.reject(this._requestError(`Worker ${workerId} sent a malformed embedding result`, 'INVALID_OUTPUT', workerId))
+      return
+    }
+
+    pending.resolve({
+      ...result,
+      workerId,
+      requestDuration: Date.now() - pending.startTime
+    })
+
+    this.emit('request-completed', requestId, workerId, result)
+  }
+
+  /**
+   * Handle a token count for a pending tokenize request
+   *
+   * @private
+   */
+  _handleTokenizeResult(message) {
+    const { requestId, result, workerId } = message
+
+    const pending = this._getPending(message)
+    if (!pending) {
+      return // Unknown or timed-out request
+    }
+
+    this._releaseRequest(requestId, pending)
+
+    if (!Number.isInteger(result.tokens)) {
+      pending.reject(this._requestError(`Worker ${workerId} sent a malformed token count`, 'INVALID_OUTPUT', workerId))
+      return
+    }
+
+    pending.resolve({ ...result, workerId })
+  }
+
+  /**
+   * Sign and send a receipt for a completed request
+   *
+   * The receipt covers the token counts and a hash of the text exactly
+   * as received; the worker stores it as proof of service.
+   *
+   * @private
+   */
+  _sendReceipt(requestId, pending, result) {
+    if (!this.config.receipts || !this.network) {
+      return
+    }
+
+    try {
+      this.network.sendMessage(pending.peerId, createReceipt({
+        requestId,
+        workerId: pending.workerId,
+        result
+      }, this.identity))
+      this.emit('receipt-sent', requestId, pending.workerId)
+    } catch (error) {
+      // Worker already gone; it just gets no receipt
+    }
+  }
+
+  /**
+   * Handle inference error
+   *
+   * @private
+   */
+  _handleInferenceError(message) {
+    const { requestId, error, workerId } = message
+
+    const pending = this._getPending(message)
+    if (!pending) {
+      return // Unknown or timed-out request
+    }
+
+    // Clear timeout
+    this._releaseRequest(requestId, pending)
+
+    // Reject promise (invalid requests would fail on every worker)
+    const requestError = this._requestError(`Worker ${workerId}: ${error}`, message.code || 'WORKER_ERROR', workerId)
+    requestError.retryable = message.retryable !== false
+    if (message.details) {
+      requestError.details = message.details // e.g. context_overflow: { promptTokens, maxTokens, contextSize }
+    }
+    pending.reject(requestError)
+
+    this.emit('request-failed', requestId, workerId, error)
+  }
+
+  /**
+   * Handle protocol error (our message was rejected by the worker)
+   *
+   * An incompatible worker may be replaced by another one; an invalid
+   * request would be rejected everywhere, so it is not retried.
+   *
+   * @private
+   */
+  _handleProtocolError(peerId, message) {
+    const { requestId, code, error } = message
+
+    this.emit('protocol-error', peerId, message)
+
+    const pending = requestId && this.pendingRequests.get(requestId)
+    if (!pending || pending.peerId !== peerId) {
+      return
+    }
+
+    this._releaseRequest(requestId, pending)
+
+    const requestError = this._requestError(`Protocol error (${code}): ${error}`, 'PROTOCOL_ERROR', pending.workerId)
+    requestError.retryable = code === 'incompatible_version'
+    pending.reject(requestError)
+  }
+
+  /**
+   * Select the best available worker by selection score
+   *
+   * @private
+   * @param {Set<string>} [excluded] - Worker IDs to skip (already failed)
+   * @param {object} [needs] - Requirements (see _eligibleWorkers())
+   * @returns {object|null} - Worker info or null if none available
+   */
+  _selectBestWorker(excluded = new Set(), needs = {}) {
+    let bestWorker = null
+    let bestScore = -1
+
+    const workers = this._eligibleWorkers(excluded, needs)
+    const unmeasured = this._unmeasuredStats(workers)
+
+    for (const worker of workers) {
+      const score = this._selectionScore(worker, unmeasured)
+
+      if (score > bestScore) {
+        bestScore = score
+        bestWorker = worker
+      }
+    }
+
+    return bestWorker
+  }
+
+  /**
+   * Score a worker for selection
+   *
+   * The advertised health score (0-100) is scaled down by the failure
+   * rate and by factors of reference / (reference + observed) for RTT and
+   * time to first token, and observed / (observed + reference) for
+   * tokens per second. A random share
+   * (config.selectionJitter) of the score is dropped each time, so
+   * workers that score about the same split the requests.
+   *
+   * @private
+   * @param {object} worker - Worker info
+   * @param {object} unmeasured - Values for statistics not measured yet (see _unmeasuredStats())
+   * @returns {number} - Selection score (higher is better)
+   */
+  _selectionScore(worker, unmeasured) {
+    const stats = this._getWorkerStats(worker.workerId)
+    const rtt = stats.rtt ?? unmeasured.rtt
+    const ttft = stats.ttft ?? unmeasured.ttft
+    const tokensPerSecond = stats.tokensPerSecond ?? unmeasured.tokensPerSecond
+
+    const score = worker.health.score *
+      (1 - stats.failureRate) *
+      (RTT_REFERENCE / (RTT_REFERENCE + rtt)) *
+      (TTFT_REFERENCE / (TTFT_REFERENCE + ttft)) *
+      (tokensPerSecond / (tokensPerSecond + TPS_REFERENCE))
+
+    return score * (1 - this.config.selectionJitter * Math.random())
+  }
+
+  /**
+   * Pick the values assumed for statistics a worker has no samples of
+   *
+   * The best value measured among the candidates, or the reference when
+   * none has one: a new worker gets tried instead of losing to every
+   * worker that has already proven itself.
+   *
+   * @private
+   * @param {object[]} workers - Candidate workers
+   * @returns {object} - { rtt, ttft, tokensPerSecond }
+   */
+  _unmeasuredStats(workers) {
+    const measured = (key) => workers
+      .map(worker => this._getWorkerStats(worker.workerId)[key])
+      .filter(value => value !== null)
+
+    const rtts = measured('rtt')
+    const ttfts = measured('ttft')
+    const speeds = measured('tokensPerSecond')
+
+    return {
+      rtt: rtts.length > 0 ? Math.min(...rtts) : RTT_REFERENCE,
+      ttft: ttfts.length > 0 ? Math.min(...ttfts) : TTFT_REFERENCE,
+      tokensPerSecond: speeds.length > 0 ? Math.max(...speeds) : TPS_REFERENCE
+    }
+  }
+
+  /**
+   * Select the least loaded worker for a batch request
+   *
+   * Load is this client's requests in flight to a worker per advertised
+   * slot. Selection score breaks ties.
+   *
+   * @private
+   * @param {Set<string>} [excluded] - Worker IDs to skip (already failed)
+   * @param {object} [needs] - Requirements (see _eligibleWorkers())
+   * @returns {object|null} - Worker info or null if none available
+   */
+  _selectBatchWorker(excluded = new Set(), needs = {}) {
+    const inFlight = new Map()
+    for (const pending of this.pendingRequests.values()) {
+      inFlight.set(pending.workerId, (inFlight.get(pending.workerId) || 0) + 1)
+    }
+
+    let bestWorker = null
+    let bestLoad = Infinity
+    let bestScore = -1
+
+    const workers = this._eligibleWorkers(excluded, needs)
+    const unmeasured = this._unmeasuredStats(workers)
+
+    for (const worker of workers) {
+      const load = (inFlight.get(worker.workerId) || 0) / this._workerSlots(worker)
+      const score = this._selectionScore(worker, unmeasured)
+
+      if (load < bestLoad || (load === bestLoad && score > bestScore)) {
+        bestLoad = load
+        bestScore = score
+        bestWorker = worker
+      }
+    }
+
+    return bestWorker
+  }
+
+  /**
+   * List the workers able to take a request
+   *
+   * @private
+   * @param {Set<string>} [excluded] - Worker IDs to skip (already failed)
+   * @param {object} [needs] - Requirements
+   * @param {string} [needs.model] - Only consider workers hosting this model
+   * @param {boolean} [needs.constrained] - Only consider workers with constrained decoding
+   * @param {boolean} [needs.embedding] - Look for an embedding model instead of a generative one
+   * @returns {object[]} - Worker infos
+   */
+  _eligibleWorkers(excluded = new Set(), { model = null, constrained = false, embedding = false } = {}) {
+    return Array.from(this.workers.values()).filter((worker) => {
+      // Skip workers that can't accept requests
+      if (!worker.health.canAcceptRequests || excluded.has(worker.workerId)) {
+        return false
+      }
+
+      const hosted = worker.models.some(info =>
+        Boolean(info.embedding) === embedding && (!model || modelMatches(info, model))
+      )
+
+      if (!hosted) {
+        return false
+      }
+
+      if (constrained && !worker.constrained) {
+        return false
+      }
+
+      if (this.config.encryption === 'required' && !this._supportsEncryption(worker)) {
+        return false
+      }
+
+      return true
+    })
+  }
+
+  /**
+   * Requests a worker runs at once, as advertised in its status
+   *
+   * @private
+   * @returns {number} - Slot count (at least 1)
+   */
+  _workerSlots(worker) {
+    return Math.max(1, worker.health.concurrency || 1)
+  }
+
+  /**
+   * Generate a unique request ID
+   *
+   * @private
+   * @returns {string} - Request ID
+   */
+  _generateRequestId() {
+    const random = crypto.randomBytes(8)
+    return b4a.toString(random, 'hex')
+  }
+
+  /**
+   * Get all discovered workers
+   *
+   * @returns {object[]} - Array of worker info
+   */
+  getWorkers() {
+    return Array.from(this.workers.values()).map(worker => ({
+      workerId: worker.workerId,
+      health: worker.health,
+      models: worker.models,
+      constrained: worker.constrained,
+      encrypted: this._supportsEncryption(worker),
+      reputation: this._getReputation(worker.workerId),
+      stats: this._getWorkerStats(worker.workerId),
+      lastSeen: worker.lastSeen
+    }))
+  }
+
+  /**
+   * Get all models available on the network
+   *
+   * @returns {object[]} - Model descriptions with the workers hosting each
+   */
+  getModels() {
+    const models = new Map()
+
+    for (const worker of this.workers.values()) {
+      for (const info of worker.models) {
+        const entry = models.get(info.id) || { ...info, workers: [] }
+        entry.workers.push(worker.workerId)
+        models.set(info.id, entry)
+      }
+    }
+
+    return Array.from(models.values())
+  }
+
+  /**
+   * Get worker count
+   *
+   * @returns {number} - Number of workers
+   */
+  getWorkerCount() {
+    return this.workers.size
+  }
+
+  /**
+   * Get client status
+   *
+   * @returns {object} - Client status
+   */
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      topicKey: this.topicKey,
+      workerCount: this.workers.size,
+      pendingRequests: this.pendingRequests.size
+    }
+  }
+}
+
+/**
+ * Exponentially weighted moving average step
+ *
+ * @private
+ * @param {number|null} average - Current average (null = no samples yet)
+ * @param {number} sample - New sample
+ * @returns {number} - Updated average
+ */
+function ewma(average, sample) {
+  return average === null ? sample : average + STATS_ALPHA * (sample - average)
 }
@@ -0,0 +1,21 @@
+/**
+ * QMesh Client Defaults
+ *
+ * The `client` section of default.js, kept free of Node-only imports so
+ * QMeshClient can read it under Bare as well.
+ */
+
+export default {
+  // Worker selection
+  selection: {
+    retries: 3,               // Retry failed requests
+    retryDelay: 1000,         // Base delay between retries (ms, doubles each attempt)
+    workerTimeout: 5000,      // Timeout for worker response
+  },
+
+  // Request settings
+  request: {
+    defaultMaxTokens: 256,    // Default max tokens for requests
+    streamChunkSize: 16,      // Tokens per streaming chunk
+  },
+};
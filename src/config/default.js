@@ -1,10 +1,14 @@
 /**
  * QMesh Configuration
  * Default settings for the PoC implementation
+ *
+ * Node-only settings for the legacy node-llama-cpp modules. The Pear
+ * worker (index.js, WorkerNode) is configured by worker-config.js.
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import clientDefaults from './client-defaults.js';
 
 // Get project root directory
 const __filename = fileURLToPath(import.meta.url);
@@ -99,8 +103,9 @@ export default {
 
   // Worker configuration
   worker: {
-    // Worker identification
-    idFile: join(projectRoot, 'worker-id.txt'),
+    // Worker identification (ed25519 keypair; workerId = public key)
+    // Under Pear the keypair lives in Pear.config.storage instead
+    idFile: join(projectRoot, 'worker-identity.json'),
 
     // Queue settings
     queue: {
@@ -128,21 +133,8 @@ export default {
     },
   },
 
-  // Client configuration
-  client: {
-    // Worker selection
-    selection: {
-      retries: 3,               // Retry failed requests
-      retryDelay: 1000,         // Delay between retries (ms)
-      workerTimeout: 5000,      // Timeout for worker response
-    },
-
-    // Request settings
-    request: {
-      defaultMaxTokens: 256,    // Default max tokens for requests
-      streamChunkSize: 16,      // Tokens per streaming chunk
-    },
-  },
+  // Client configuration (see client-defaults.js)
+  client: clientDefaults,
 
   // Logging
   logging: {
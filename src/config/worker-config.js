@@ -0,0 +1,642 @@
+/**
+ * Worker Configuration - Layered config loader for the Pear worker
+ *
+ * Every WorkerNode option is described once in WORKER_OPTIONS and can be
+ * set from four layers, each overriding the one before:
+ *
+ *   1. Defaults (below)
+ *   2. JSON file: qmesh-worker.json in Pear.config.storage (cwd outside
+ *      Pear), or the path given by --config / QMESH_CONFIG
+ *   3. Environment variables (QMESH_PORT=8081)
+ *   4. Command line flags from Pear.config.args (--port 8081, --port=8081,
+ *      --verbose, --no-verbose)
+ *
+ * Values are type-checked and range-checked; all problems are reported
+ * together in one ConfigError, each naming where the bad value came from.
+ * Unknown flags only produce a warning, since the Pear CLI may pass
+ * arguments meant for itself (e.g. `npm test` runs with --test).
+ *
+ * Usage:
+ *   const config = await loadWorkerConfig()
+ *   const worker = new WorkerNode(config)
+ *
+ *   // qmesh-worker.json
+ *   { "modelPath": "./models/model.gguf", "gpuLayers": 33, "threads": 8 }
+ */
+
+import fs from '#fs/promises'
+import path from '#path'
+import process from '#process'
+import { getIdentityPath } from '../lib/identity.js'
+import { getLedgerPath } from '../lib/usage-ledger.js'
+import { SCHEDULERS } from '../lib/scheduler.js'
+import { validateSamplingPolicy } from '../lib/sampling.js'
+import { POOLING_TYPES } from '../lib/llama-process-manager.js'
+
+// Config file name inside Pear storage
+export const CONFIG_FILENAME = 'qmesh-worker.json'
+
+/**
+ * Worker options
+ *
+ * type: string | integer | number | boolean | array | object
+ * flag/env: command line flag and environment variable (file-only if absent)
+ * nullable: null is a valid value (feature disabled / auto-detected)
+ * min/max/pattern/check: extra constraints (check returns a problem or null)
+ * default: a value, or a function of the other settled values
+ */
+const WORKER_OPTIONS = {
+  modelPath: {
+    type: 'string',
+    flag: 'model',
+    env: 'QMESH_MODEL',
+    default: './models/tinyllama-1.1b-chat-v1.0.Q4_K_M.gguf',
+    description: 'GGUF model to serve'
+  },
+  models: {
+    type: 'array',
+    nullable: true,
+    default: null,
+    check: (models) => {
+      const index = models.findIndex(model => !model || typeof model.modelPath !== 'string')
+      if (index !== -1) {
+        return `entry ${index} must be an object with a modelPath string`
+      }
+
+      const pooled = models.findIndex(model => model.pooling !== undefined && !POOLING_TYPES.includes(model.pooling))
+      return pooled === -1 ? null : `entry ${pooled} pooling must be one of ${POOLING_TYPES.join(', ')}`
+    },
+    description: 'Several models: [{ modelPath, id?, port?, contextSize?, embedding?, pooling? }] (config file only)'
+  },
+  embedding: {
+    type: 'boolean',
+    flag: 'embedding',
+    env: 'QMESH_EMBEDDING',
+    default: false,
+    description: 'Serve modelPath as an embedding model (llama-server --embedding)'
+  },
+  pooling: {
+    type: 'string',
+    flag: 'pooling',
+    env: 'QMESH_POOLING',
+    nullable: true,
+    default: null,
+    check: (pooling) => POOLING_TYPES.includes(pooling) ? null : `must be one of ${POOLING_TYPES.join(', ')} (got ${JSON.stringify(pooling)})`,
+    description: 'Embedding pooling: mean, cls or last (null = the model\'s default)'
+  },
+  binaryPath: {
+    type: 'string',
+    flag: 'binary',
+    env: 'QMESH_BINARY',
+    nullable: true,
+    default: null,
+    description: 'llama-server binary (default: bundled for this platform)'
+  },
+  port: {
+    type: 'integer',
+    flag: 'port',
+    env: 'QMESH_PORT',
+    min: 0,
+    max: 65535,
+    default: 0,
+    description: 'Preferred llama-server port (0 = any free port)'
+  },
+  gpuLayers: {
+    type: 'integer',
+    flag: 'gpu-layers',
+    env: 'QMESH_GPU_LAYERS',
+    min: 0,
+    default: 0,
+    description: 'Layers offloaded to the GPU (0 = CPU only, 33+ = full GPU)'
+  },
+  threads: {
+    type: 'integer',
+    flag: 'threads',
+    env: 'QMESH_THREADS',
+    min: 1,
+    default: 4,
+    description: 'CPU threads for llama-server'
+  },
+  temperature: {
+    type: 'number',
+    flag: 'temperature',
+    env: 'QMESH_TEMPERATURE',
+    min: 0,
+    max: 2,
+    default: 0.7,
+    description: 'Default sampling temperature'
+  },
+  maxTokens: {
+    type: 'integer',
+    flag: 'max-tokens',
+    env: 'QMESH_MAX_TOKENS',
+    min: 1,
+    default: 200,
+    description: 'Default maximum tokens per request'
+  },
+  seed: {
+    type: 'integer',
+    flag: 'seed',
+    env: 'QMESH_SEED',
+    nullable: true,
+    min: 0,
+    max: 4294967294,
+    default: null,
+    description: 'Seed for requests that set none (null = a new random seed each request)'
+  },
+  constrainedDecoding: {
+    type: 'boolean',
+    flag: 'constrained-decoding',
+    env: 'QMESH_CONSTRAINED_DECODING',
+    default: true,
+    description: 'Serve requests with a grammar or jsonSchema (advertised in status)'
+  },
+  samplingPolicy: {
+    type: 'object',
+    nullable: true,
+    default: null,
+    check: validateSamplingPolicy,
+    description: 'Limits requests are clamped to: { option: { min, max } }, merged over the defaults (config file only)'
+  },
+  networkTopic: {
+    type: 'string',
+    flag: 'topic',
+    env: 'QMESH_TOPIC',
+    default: 'qmesh-inference',
+    description: 'P2P network topic'
+  },
+  identityPath: {
+    type: 'string',
+    flag: 'identity',
+    env: 'QMESH_IDENTITY',
+    default: ({ port }) => getIdentityPath(port ? `worker-identity-${port}.json` : 'worker-identity.json'),
+    description: 'Worker keypair file, one per worker on a host (default: per --port)'
+  },
+  ledgerPath: {
+    type: 'string',
+    flag: 'ledger',
+    env: 'QMESH_LEDGER',
+    nullable: true,
+    default: ({ port }) => getLedgerPath(port ? `usage-ledger-${port}` : 'usage-ledger'),
+    description: 'Usage ledger directory, one per worker on a host (default: per --port; null = do not record usage)'
+  },
+  ownerKey: {
+    type: 'string',
+    flag: 'owner-key',
+    env: 'QMESH_OWNER_KEY',
+    nullable: true,
+    pattern: /^[0-9a-f]{64}$/,
+    patternDescription: 'a 64-character hex public key',
+    default: null,
+    description: 'Public key allowed to send admin commands (null = disabled)'
+  },
+  adminMaxAge: {
+    type: 'integer',
+    flag: 'admin-max-age',
+    env: 'QMESH_ADMIN_MAX_AGE',
+    min: 1000,
+    default: 60000,
+    description: 'Reject admin messages older than this (ms)'
+  },
+  queueCapacity: {
+    type: 'integer',
+    flag: 'queue-capacity',
+    env: 'QMESH_QUEUE_CAPACITY',
+    min: 0,
+    default: 10,
+    description: 'Waiting requests beyond the active slots'
+  },
+  scheduler: {
+    type: 'string',
+    flag: 'scheduler',
+    env: 'QMESH_SCHEDULER',
+    default: 'fifo',
+    check: (name) => SCHEDULERS.includes(name) ? null : `must be one of ${SCHEDULERS.join(', ')} (got ${JSON.stringify(name)})`,
+    description: 'Backlog order: fifo, or priority (most credits first)'
+  },
+  credits: {
+    type: 'object',
+    nullable: true,
+    default: null,
+    check: (credits) => {
+      const key = Object.keys(credits).find(key => !Number.isFinite(credits[key]))
+      return key === undefined ? null : `credits for ${key} must be a number`
+    },
+    description: 'Client credits for the priority scheduler: { publicKey: credits } (config file only)'
+  },
+  concurrency: {
+    type: 'integer',
+    flag: 'concurrency',
+    env: 'QMESH_CONCURRENCY',
+    min: 1,
+    default: 4,
+    description: 'Simultaneous generations (llama-server --parallel)'
+  },
+  statusBroadcastInterval: {
+    type: 'integer',
+    flag: 'status-interval',
+    env: 'QMESH_STATUS_INTERVAL',
+    min: 1000,
+    default: 10000,
+    description: 'Health status broadcast interval (ms)'
+  },
+  verbose: {
+    type: 'boolean',
+    flag: 'verbose',
+    env: 'QMESH_VERBOSE',
+    default: false,
+    description: 'Log llama-server output'
+  }
+}
+
+/**
+ * ConfigError - One or more invalid configuration values
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} errors - Problems, each prefixed with its source
+   */
+  constructor(errors) {
+    super(`Invalid worker configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`)
+    this.name = 'ConfigError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Get the default value of every worker option
+ *
+ * Some defaults depend on other settings (storage paths are kept apart
+ * per port), so the values already chosen can be passed in.
+ *
+ * @param {object} [values] - Options set so far
+ * @returns {object} - Default config
+ */
+export function getWorkerDefaults(values = {}) {
+  const defaults = {}
+
+  for (const [key, option] of Object.entries(WORKER_OPTIONS)) {
+    if (typeof option.default !== 'function') {
+      defaults[key] = option.default
+    }
+  }
+
+  const settled = { ...defaults, ...values }
+
+  for (const [key, option] of Object.entries(WORKER_OPTIONS)) {
+    if (typeof option.default === 'function') {
+      defaults[key] = option.default(settled)
+    }
+  }
+
+  return defaults
+}
+
+/**
+ * Check a complete config object
+ *
+ * Keys that are not worker options are left alone (callers may pass
+ * extra options through to subsystems).
+ *
+ * @param {object} config - Config to check
+ * @param {string} [source] - Where the values came from (for error messages)
+ * @throws {ConfigError} - If any value is invalid
+ */
+export function validateWorkerConfig(config, source = 'options') {
+  const errors = []
+
+  for (const [key, option] of Object.entries(WORKER_OPTIONS)) {
+    if (config[key] === undefined) {
+      continue
+    }
+
+    const problem = checkValue(option, config[key])
+    if (problem) {
+      errors.push(`${source}.${key}: ${problem}`)
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors)
+  }
+}
+
+/**
+ * Load the worker config from defaults, config file, env and flags
+ *
+ * @param {object} [options] - Inputs (default: the real environment)
+ * @param {string[]} [options.args] - Flags (default: Pear.config.args, or process.argv outside Pear)
+ * @param {object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.file] - Config file path (default: --config, QMESH_CONFIG or storage)
+ * @param {Function} [options.onWarning] - Called with non-fatal problems (default: console.warn)
+ * @returns {Promise<object>} - Validated WorkerNode options
+ * @throws {ConfigError} - If any layer holds invalid values
+ */
+export async function loadWorkerConfig(options = {}) {
+  const args = options.args || getDefaultArgs()
+  const env = options.env || process.env
+  const onWarning = options.onWarning || ((message) => console.warn(`⚠️  ${message}`))
+  const errors = []
+
+  const flags = parseFlags(args, errors, onWarning)
+  const file = options.file || flags.config || env.QMESH_CONFIG || getConfigPath()
+
+  // Layer 2: config file
+  const fileValues = await readConfigFile(file, errors)
+
+  // Layers 3 and 4: environment and flags (strings, converted per type)
+  const envValues = {}
+  const flagValues = {}
+
+  for (const [key, option] of Object.entries(WORKER_OPTIONS)) {
+    if (option.env && env[option.env] !== undefined) {
+      assign(envValues, key, option, env[option.env], option.env, errors)
+    }
+
+    if (option.flag && flags.values[option.flag] !== undefined) {
+      assign(flagValues, key, option, flags.values[option.flag], `--${option.flag}`, errors)
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors)
+  }
+
+  const values = { ...fileValues, ...envValues, ...flagValues }
+
+  return {
+    ...getWorkerDefaults(values),
+    ...values
+  }
+}
+
+/**
+ * Check whether --help was passed
+ *
+ * @param {string[]} [args] - Flags (default: Pear.config.args, or process.argv outside Pear)
+ * @returns {boolean}
+ */
+export function isHelpRequested(args = getDefaultArgs()) {
+  return args.includes('--help') || args.includes('-h')
+}
+
+/**
+ * Describe every command line flag (for --help)
+ *
+ * @returns {string} - One line per flag
+ */
+export function describeWorkerFlags() {
+  const lines = ['  --config <path>              Config file (default: <storage>/' + CONFIG_FILENAME + ')']
+
+  for (const option of Object.values(WORKER_OPTIONS)) {
+    if (!option.flag) {
+      continue
+    }
+
+    const usage = option.type === 'boolean' ? `--${option.flag}` : `--${option.flag} <${option.type}>`
+    lines.push(`  ${usage.padEnd(28)} ${option.description} [${option.env}]`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Resolve the default config file location
+ *
+ * @private
+ */
+function getConfigPath() {
+  const basePath = typeof Pear !== 'undefined' && Pear.config
+    ? Pear.config.storage
+    : process.cwd()
+
+  return path.join(basePath, CONFIG_FILENAME)
+}
+
+/**
+ * Get command line arguments for this process
+ *
+ * @private
+ */
+function getDefaultArgs() {
+  if (typeof Pear !== 'undefined' && Pear.config) {
+    return Pear.config.args || []
+  }
+
+  return process.argv.slice(2)
+}
+
+/**
+ * Read and check the JSON config file (missing file = no values)
+ *
+ * @private
+ */
+async function readConfigFile(file, errors) {
+  let data
+
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      errors.push(`${file}: ${error instanceof SyntaxError ? `invalid JSON (${error.message})` : error.message}`)
+    }
+    return {}
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${file}: must contain a JSON object`)
+    return {}
+  }
+
+  const values = {}
+
+  for (const [key, value] of Object.entries(data)) {
+    const option = WORKER_OPTIONS[key]
+
+    if (!option) {
+      errors.push(`${file}: unknown option "${key}"`)
+      continue
+    }
+
+    const problem = checkValue(option, value)
+    if (problem) {
+      errors.push(`${file}: ${key} ${problem}`)
+      continue
+    }
+
+    values[key] = value
+  }
+
+  return values
+}
+
+/**
+ * Split command line arguments into { config, values }
+ *
+ * @private
+ */
+function parseFlags(args, errors, onWarning) {
+  const knownFlags = new Map()
+  for (const option of Object.values(WORKER_OPTIONS)) {
+    if (option.flag) {
+      knownFlags.set(option.flag, option)
+    }
+  }
+
+  const values = {}
+  let config = null
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (!arg.startsWith('--')) {
+      onWarning(`Ignoring unexpected argument "${arg}"`)
+      continue
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s)
+
+    // --no-verbose
+    if (value === undefined && name.startsWith('no-') && knownFlags.get(name.slice(3))?.type === 'boolean') {
+      values[name.slice(3)] = 'false'
+      continue
+    }
+
+    const option = knownFlags.get(name)
+
+    if (name !== 'config' && !option) {
+      onWarning(`Ignoring unknown flag --${name}`)
+      continue
+    }
+
+    if (value === undefined) {
+      if (option && option.type === 'boolean') {
+        value = 'true'
+      } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        value = args[++i]
+      } else {
+        errors.push(`--${name}: missing value`)
+        continue
+      }
+    }
+
+    if (name === 'config') {
+      config = value
+    } else {
+      values[name] = value
+    }
+  }
+
+  return { config, values }
+}
+
+/**
+ * Convert a string from env/flags and store it if valid
+ *
+ * @private
+ */
+function assign(target, key, option, raw, source, errors) {
+  const value = parseString(option, raw)
+  const problem = value === undefined
+    ? `must be ${describeType(option)} (got "${raw}")`
+    : checkValue(option, value)
+
+  if (problem) {
+    errors.push(`${source}: ${problem}`)
+    return
+  }
+
+  target[key] = value
+}
+
+/**
+ * Convert a string to an option's type
+ *
+ * @private
+ * @returns {*} - Converted value, or undefined if it doesn't parse
+ */
+function parseString(option, raw) {
+  const text = String(raw).trim()
+
+  if (option.nullable && (text === '' || text === 'null')) {
+    return null
+  }
+
+  switch (option.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? Number(text) : undefined
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true
+      if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false
+      return undefined
+    case 'array':
+      try {
+        const value = JSON.parse(text)
+        return Array.isArray(value) ? value : undefined
+      } catch (error) {
+        return undefined
+      }
+    default:
+      return text
+  }
+}
+
+/**
+ * Check a typed value against its option
+ *
+ * @private
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function checkValue(option, value) {
+  if (value === null) {
+    return option.nullable ? null : `must be ${describeType(option)}, not null`
+  }
+
+  const typeOk = option.type === 'integer'
+    ? Number.isInteger(value)
+    : option.type === 'number'
+      ? typeof value === 'number' && Number.isFinite(value)
+      : option.type === 'array'
+        ? Array.isArray(value)
+        : option.type === 'object'
+          ? typeof value === 'object' && !Array.isArray(value)
+          : typeof value === option.type
+
+  if (!typeOk) {
+    return `must be ${describeType(option)} (got ${JSON.stringify(value)})`
+  }
+
+  if (option.min !== undefined && value < option.min) {
+    return `must be at least ${option.min} (got ${value})`
+  }
+
+  if (option.max !== undefined && value > option.max) {
+    return `must be at most ${option.max} (got ${value})`
+  }
+
+  if (option.pattern && !option.pattern.test(value)) {
+    return `must be ${option.patternDescription}`
+  }
+
+  return option.check ? option.check(value) : null
+}
+
+/**
+ * Human-readable type name for error messages
+ *
+ * @private
+ */
+function describeType(option) {
+  switch (option.type) {
+    case 'integer':
+      return 'an integer'
+    case 'array':
+      return 'an array'
+    case 'object':
+      return 'an object'
+    default:
+      return `a ${option.type}`
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Identity - Persistent ed25519 keypair for signing P2P messages
+ *
+ * A node's identity is an ed25519 keypair kept in Pear storage, so it
+ * survives restarts. The hex public key doubles as the node's ID
+ * (workerId), which lets any peer verify a signed message against the
+ * ID it claims without a separate key exchange.
+ *
+ * Signatures cover the canonical JSON of the message (keys sorted,
+ * `signature` field excluded).
+ *
+ * Usage:
+ *   const identity = await Identity.load(getIdentityPath('worker-identity.json'))
+ *
+ *   const message = identity.sign({ type: 'status', workerId: identity.id, ... })
+ *   Identity.verify(message, message.workerId) // true
+ */
+
+import fs from '#fs/promises'
+import path from '#path'
+import process from '#process'
+import hypercoreCrypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+/**
+ * Resolve where an identity file lives
+ *
+ * @param {string} filename - Identity file name
+ * @returns {string} - Path inside Pear storage, or the cwd outside Pear
+ */
+export function getIdentityPath(filename) {
+  const basePath = typeof Pear !== 'undefined' && Pear.config
+    ? Pear.config.storage
+    : process.cwd()
+
+  return path.join(basePath, filename)
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+
+    return `{${entries.join(',')}}`
+  }
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Identity - ed25519 keypair with message signing
+ */
+export class Identity {
+  /**
+   * @param {object} keyPair - { publicKey, secretKey } buffers
+   */
+  constructor(keyPair) {
+    this.keyPair = keyPair
+    this.publicKey = keyPair.publicKey
+    this.id = b4a.toString(keyPair.publicKey, 'hex')
+  }
+
+  /**
+   * Create a fresh identity (not saved)
+   *
+   * @returns {Identity}
+   */
+  static generate() {
+    return new Identity(hypercoreCrypto.keyPair())
+  }
+
+  /**
+   * Load an identity from disk, creating and saving a new one if missing
+   *
+   * @param {string} filePath - Identity file path
+   * @returns {Promise<Identity>}
+   */
+  static async load(filePath) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+
+      return new Identity({
+        publicKey: b4a.from(data.publicKey, 'hex'),
+        secretKey: b4a.from(data.secretKey, 'hex')
+      })
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read identity file ${filePath}: ${error.message}`)
+      }
+    }
+
+    const identity = Identity.generate()
+    await identity.save(filePath)
+
+    return identity
+  }
+
+  /**
+   * Save the keypair to disk (owner read/write only)
+   *
+   * @param {string} filePath - Identity file path
+   */
+  async save(filePath) {
+    const data = {
+      publicKey: this.id,
+      secretKey: b4a.toString(this.keyPair.secretKey, 'hex'),
+      createdAt: Date.now()
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2), { mode: 0o600 })
+  }
+
+  /**
+   * Sign a message
+   *
+   * @param {object} message - Message to sign
+   * @returns {object} - Copy of the message with a hex `signature` field
+   */
+  sign(message) {
+    const { signature, ...body } = message
+    const bytes = b4a.from(canonicalJson(body), 'utf8')
+
+    return {
+      ...body,
+      signature: b4a.toString(hypercoreCrypto.sign(bytes, this.keyPair.secretKey), 'hex')
+    }
+  }
+
+  /**
+   * Verify a signed message
+   *
+   * @param {object} message - Message with a hex `signature` field
+   * @param {string} publicKey - Signer's public key (hex), e.g. the workerId
+   * @returns {boolean} - True if the signature is valid
+   */
+  static verify(message, publicKey) {
+    if (!message || typeof message.signature !== 'string' || typeof publicKey !== 'string') {
+      return false
+    }
+
+    try {
+      const { signature, ...body } = message
+      const key = b4a.from(publicKey, 'hex')
+      const sig = b4a.from(signature, 'hex')
+
+      if (key.length !== 32 || sig.length !== 64) {
+        return false
+      }
+
+      return hypercoreCrypto.verify(b4a.from(canonicalJson(body), 'utf8'), sig, key)
+
+    } catch (error) {
+      return false
+    }
+  }
+}
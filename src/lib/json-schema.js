@@ -0,0 +1,283 @@
+/**
+ * JSON Schema - Check generated JSON against a schema
+ *
+ * Constrained decoding makes a worker produce output that follows the
+ * schema, but the client cannot take that on trust: a worker may run an
+ * old llama-server, ignore the constraint or stop at maxTokens halfway
+ * through an object. QMeshClient.generateJSON() parses every result and
+ * checks it here before returning it.
+ *
+ * Supported keywords (the subset llama-server turns into grammars):
+ *   type, enum, const, anyOf, oneOf, allOf,
+ *   properties, required, additionalProperties,
+ *   items, minItems, maxItems,
+ *   minLength, maxLength, pattern,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * Other keywords ($ref, format, ...) are ignored.
+ *
+ * Usage:
+ *   const invalid = checkSchema(schema) // null if usable
+ *   const problem = validateJson(JSON.parse(text), schema) // null if valid
+ */
+
+// Compiled `pattern` keywords, per schema object
+const patterns = new WeakMap()
+
+/**
+ * Check that a schema can be validated against
+ *
+ * Compiles every `pattern` once, so a bad one is reported here rather
+ * than thrown from validateJson() on the first string it meets.
+ *
+ * @param {object|boolean} schema - JSON Schema
+ * @param {string} [path] - Location of schema, for messages
+ * @returns {string|null} - Problem description, or null if usable
+ */
+export function checkSchema(schema, path = '$') {
+  if (typeof schema === 'boolean' || schema === undefined) {
+    return null
+  }
+
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    return `${path} must be a schema object or boolean`
+  }
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string') {
+      return `${path}.pattern must be a string`
+    }
+
+    try {
+      compilePattern(schema)
+    } catch (error) {
+      return `${path}.pattern is not a valid regular expression: ${error.message}`
+    }
+  }
+
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (!Array.isArray(schema[keyword])) continue
+
+    for (let i = 0; i < schema[keyword].length; i++) {
+      const problem = checkSchema(schema[keyword][i], `${path}.${keyword}[${i}]`)
+      if (problem) return problem
+    }
+  }
+
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    const problem = checkSchema(sub, `${path}.properties.${key}`)
+    if (problem) return problem
+  }
+
+  return checkSchema(schema.items, `${path}.items`) ||
+    checkSchema(schema.additionalProperties, `${path}.additionalProperties`)
+}
+
+/**
+ * Check a value against a JSON Schema
+ *
+ * @param {*} value - Parsed JSON value
+ * @param {object|boolean} schema - JSON Schema
+ * @param {string} [path] - Location of value, for messages
+ * @returns {string|null} - Problem description, or null if valid
+ * @throws {SyntaxError} - On a bad `pattern` (run checkSchema() first)
+ */
+export function validateJson(value, schema, path = '$') {
+  if (schema === true || schema === undefined) {
+    return null
+  }
+
+  if (schema === false) {
+    return `${path} is not allowed`
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => isType(value, type))) {
+      return `${path} must be ${types.join(' or ')} (got ${typeName(value)})`
+    }
+  }
+
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    return `${path} must be ${JSON.stringify(schema.const)}`
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(entry => deepEqual(value, entry))) {
+    return `${path} must be one of ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}`
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) {
+      const problem = validateJson(value, sub, path)
+      if (problem) return problem
+    }
+  }
+
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => !validateJson(value, sub, path))) {
+    return `${path} matches none of anyOf`
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(sub => !validateJson(value, sub, path)).length
+    if (matches !== 1) {
+      return `${path} must match exactly one of oneOf (matches ${matches})`
+    }
+  }
+
+  if (typeof value === 'string') {
+    return checkString(value, schema, path)
+  }
+
+  if (typeof value === 'number') {
+    return checkNumber(value, schema, path)
+  }
+
+  if (Array.isArray(value)) {
+    return checkArray(value, schema, path)
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return checkObject(value, schema, path)
+  }
+
+  return null
+}
+
+/**
+ * @private
+ */
+function checkString(value, schema, path) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return `${path} must be at least ${schema.minLength} characters`
+  }
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${path} must be at most ${schema.maxLength} characters`
+  }
+
+  if (schema.pattern !== undefined && !compilePattern(schema).test(value)) {
+    return `${path} must match ${schema.pattern}`
+  }
+
+  return null
+}
+
+/**
+ * @private
+ */
+function checkNumber(value, schema, path) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `${path} must be at most ${schema.maximum}`
+  }
+
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    return `${path} must be greater than ${schema.exclusiveMinimum}`
+  }
+
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    return `${path} must be less than ${schema.exclusiveMaximum}`
+  }
+
+  return null
+}
+
+/**
+ * @private
+ */
+function checkArray(value, schema, path) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    return `${path} must have at least ${schema.minItems} items`
+  }
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    return `${path} must have at most ${schema.maxItems} items`
+  }
+
+  if (schema.items !== undefined) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = validateJson(value[i], schema.items, `${path}[${i}]`)
+      if (problem) return problem
+    }
+  }
+
+  return null
+}
+
+/**
+ * @private
+ */
+function checkObject(value, schema, path) {
+  const properties = schema.properties || {}
+
+  for (const key of Array.isArray(schema.required) ? schema.required : []) {
+    if (!Object.hasOwn(value, key)) {
+      return `${path}.${key} is required`
+    }
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    const sub = Object.hasOwn(properties, key)
+      ? properties[key]
+      : schema.additionalProperties
+
+    const problem = validateJson(entry, sub, `${path}.${key}`)
+    if (problem) return problem
+  }
+
+  return null
+}
+
+/**
+ * Get the RegExp for a schema's pattern, compiling it on first use
+ *
+ * @private
+ */
+function compilePattern(schema) {
+  let pattern = patterns.get(schema)
+
+  if (!pattern) {
+    pattern = new RegExp(schema.pattern, 'u')
+    patterns.set(schema, pattern)
+  }
+
+  return pattern
+}
+
+/**
+ * Check a value against one JSON Schema type name
+ *
+ * @private
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null
+    case 'integer':
+      return Number.isInteger(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * @private
+ */
+function typeName(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * @private
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
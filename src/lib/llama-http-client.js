@@ -5,9 +5,27 @@
  * - Text completion
  * - Chat completions (OpenAI format)
  * - Streaming responses
+ * - Constrained decoding (GBNF grammar or JSON Schema)
+ * - Embeddings (llama-server started with --embedding)
+ * - Tokenization and chat template rendering (token counting)
  * - Health checks
  */
 
+// Sampling options (see src/lib/sampling.js) -> llama-server fields.
+// llama-server also reads these on /v1/chat/completions.
+const SAMPLING_FIELDS = {
+  minP: 'min_p',
+  repeatPenalty: 'repeat_penalty',
+  repeatLastN: 'repeat_last_n',
+  presencePenalty: 'presence_penalty',
+  frequencyPenalty: 'frequency_penalty',
+  mirostat: 'mirostat',
+  mirostatTau: 'mirostat_tau',
+  mirostatEta: 'mirostat_eta',
+  grammar: 'grammar',
+  jsonSchema: 'json_schema'
+}
+
 export class LlamaHttpClient {
   constructor(config = {}) {
     this.config = {
@@ -20,27 +38,77 @@ export class LlamaHttpClient {
     this.baseUrl = `http://${this.config.host}:${this.config.port}`
   }
 
+  /**
+   * Point the client at another port (llama-server moved to a free port)
+   */
+  setPort(port) {
+    this.config.port = port
+    this.baseUrl = `http://${this.config.host}:${this.config.port}`
+  }
+
   /**
    * Create abort signal with timeout (Bare-compatible)
+   *
+   * If a caller signal is given, aborting it also aborts the request,
+   * which lets callers cancel an in-flight generation.
    */
-  _createTimeoutSignal(timeoutMs) {
+  _createTimeoutSignal(timeoutMs, signal = null) {
     const controller = new AbortController()
     const timeout = setTimeout(() => controller.abort(), timeoutMs)
     controller.signal.addEventListener('abort', () => clearTimeout(timeout))
+
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort()
+      } else {
+        signal.addEventListener('abort', () => controller.abort())
+      }
+    }
+
     return controller.signal
   }
 
+  /**
+   * Map sampling options onto llama-server request fields
+   *
+   * Options left unset are omitted so llama-server's own defaults apply,
+   * except the few this client has always defaulted.
+   *
+   * @private
+   */
+  _samplingParams(options) {
+    const params = {
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.9,
+      top_k: options.topK ?? 40,
+      stop: options.stop || [],
+      seed: options.seed ?? -1 // -1 = random
+    }
+
+    for (const [option, field] of Object.entries(SAMPLING_FIELDS)) {
+      if (options[option] !== undefined && options[option] !== null) {
+        params[field] = options[option]
+      }
+    }
+
+    if (options.logitBias) {
+      // [[token, bias], ...] - token is an id or a piece of text
+      params.logit_bias = Object.entries(options.logitBias).map(([token, bias]) =>
+        [/^\d+$/.test(token) ? Number(token) : token, bias]
+      )
+    }
+
+    return params
+  }
+
   /**
    * Generate text completion
    */
   async generate(prompt, options = {}) {
     const payload = {
       prompt,
-      temperature: options.temperature ?? 0.7,
-      top_p: options.topP ?? 0.9,
-      top_k: options.topK ?? 40,
+      ...this._samplingParams(options),
       n_predict: options.maxTokens ?? 200,
-      stop: options.stop || [],
       stream: false
     }
 
@@ -51,7 +119,7 @@ export class LlamaHttpClient {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload),
-        signal: this._createTimeoutSignal(this.config.timeout)
+        signal: this._createTimeoutSignal(this.config.timeout, options.signal)
       })
 
       if (!response.ok) {
@@ -62,6 +130,7 @@ export class LlamaHttpClient {
       return {
         text: data.content,
         tokens: data.tokens_predicted,
+        promptTokens: data.tokens_evaluated,
         stopReason: data.stop ? 'stop' : 'length'
       }
 
@@ -77,11 +146,8 @@ export class LlamaHttpClient {
   async generateStream(prompt, onToken, options = {}) {
     const payload = {
       prompt,
-      temperature: options.temperature ?? 0.7,
-      top_p: options.topP ?? 0.9,
-      top_k: options.topK ?? 40,
+      ...this._samplingParams(options),
       n_predict: options.maxTokens ?? 200,
-      stop: options.stop || [],
       stream: true
     }
 
@@ -92,7 +158,7 @@ export class LlamaHttpClient {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload),
-        signal: this._createTimeoutSignal(this.config.timeout)
+        signal: this._createTimeoutSignal(this.config.timeout, options.signal)
       })
 
       if (!response.ok) {
@@ -104,6 +170,8 @@ export class LlamaHttpClient {
       const decoder = new TextDecoder()
       let buffer = ''
       let fullText = ''
+      let promptTokens
+      let stopReason = 'stop'
 
       while (true) {
         const { done, value } = await reader.read()
@@ -139,7 +207,10 @@ export class LlamaHttpClient {
                 onToken(json.content)
               }
 
+              // The final chunk says why generation ended and how long the prompt was
               if (json.stop) {
+                promptTokens = json.tokens_evaluated
+                stopReason = json.stop_type === 'limit' || json.stopped_limit ? 'length' : 'stop'
                 break
               }
 
@@ -152,7 +223,8 @@ export class LlamaHttpClient {
 
       return {
         text: fullText,
-        stopReason: 'stop'
+        promptTokens,
+        stopReason
       }
 
     } catch (error) {
@@ -167,10 +239,8 @@ export class LlamaHttpClient {
   async chat(messages, options = {}) {
     const payload = {
       messages,
-      temperature: options.temperature ?? 0.7,
-      top_p: options.topP ?? 0.9,
+      ...this._samplingParams(options),
       max_tokens: options.maxTokens ?? 200,
-      stop: options.stop || [],
       stream: false
     }
 
@@ -181,7 +251,7 @@ export class LlamaHttpClient {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload),
-        signal: this._createTimeoutSignal(this.config.timeout)
+        signal: this._createTimeoutSignal(this.config.timeout, options.signal)
       })
 
       if (!response.ok) {
@@ -194,6 +264,8 @@ export class LlamaHttpClient {
       return {
         text: choice.message.content,
         role: choice.message.role,
+        tokens: data.usage?.completion_tokens,
+        promptTokens: data.usage?.prompt_tokens,
         finishReason: choice.finish_reason
       }
 
@@ -209,11 +281,10 @@ export class LlamaHttpClient {
   async chatStream(messages, onToken, options = {}) {
     const payload = {
       messages,
-      temperature: options.temperature ?? 0.7,
-      top_p: options.topP ?? 0.9,
+      ...this._samplingParams(options),
       max_tokens: options.maxTokens ?? 200,
-      stop: options.stop || [],
-      stream: true
+      stream: true,
+      stream_options: { include_usage: true }
     }
 
     try {
@@ -223,7 +294,7 @@ export class LlamaHttpClient {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload),
-        signal: this._createTimeoutSignal(this.config.timeout)
+        signal: this._createTimeoutSignal(this.config.timeout, options.signal)
       })
 
       if (!response.ok) {
@@ -235,6 +306,8 @@ export class LlamaHttpClient {
       const decoder = new TextDecoder()
       let buffer = ''
       let fullText = ''
+      let promptTokens
+      let finishReason = 'stop'
 
       while (true) {
         const { done, value } = await reader.read()
@@ -269,7 +342,12 @@ export class LlamaHttpClient {
               }
 
               if (json.choices[0]?.finish_reason) {
-                break
+                finishReason = json.choices[0].finish_reason
+              }
+
+              // Usage arrives with (or after) the finishing chunk
+              if (json.usage) {
+                promptTokens = json.usage.prompt_tokens
               }
 
             } catch (error) {
@@ -281,7 +359,8 @@ export class LlamaHttpClient {
 
       return {
         text: fullText,
-        finishReason: 'stop'
+        promptTokens,
+        finishReason
       }
 
     } catch (error) {
@@ -290,6 +369,51 @@ export class LlamaHttpClient {
     }
   }
 
+  /**
+   * Embed texts (OpenAI-compatible /v1/embeddings)
+   *
+   * Only works on a llama-server started with --embedding.
+   *
+   * @param {string[]} texts - Inputs, one vector each
+   * @param {object} [options] - { signal }
+   * @returns {Promise<object>} - { embeddings, promptTokens } - Vectors in input order
+   */
+  async embed(texts, options = {}) {
+    const payload = {
+      input: texts,
+      encoding_format: 'float'
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/v1/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: this._createTimeoutSignal(this.config.timeout, options.signal)
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+
+      return {
+        embeddings: data.data
+          .slice()
+          .sort((a, b) => a.index - b.index)
+          .map(entry => entry.embedding),
+        promptTokens: data.usage?.prompt_tokens
+      }
+
+    } catch (error) {
+      console.error('❌ Embedding error:', error.message)
+      throw error
+    }
+  }
+
   /**
    * Health check
    */
@@ -325,15 +449,19 @@ export class LlamaHttpClient {
 
   /**
    * Tokenize text
+   *
+   * @param {string} text - Text to tokenize
+   * @param {object} [options] - { addSpecial } - Count BOS/EOS like a completion would
    */
-  async tokenize(text) {
+  async tokenize(text, options = {}) {
     try {
       const response = await fetch(`${this.baseUrl}/tokenize`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ content: text })
+        body: JSON.stringify({ content: text, add_special: options.addSpecial ?? false }),
+        signal: this._createTimeoutSignal(this.config.timeout)
       })
 
       if (!response.ok) {
@@ -351,4 +479,34 @@ export class LlamaHttpClient {
       throw error
     }
   }
+
+  /**
+   * Render chat messages with the model's chat template
+   *
+   * @param {Array<{role: string, content: string}>} messages - Conversation
+   * @returns {Promise<string>} - Prompt text the model would see
+   */
+  async applyTemplate(messages) {
+    try {
+      const response = await fetch(`${this.baseUrl}/apply-template`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messages }),
+        signal: this._createTimeoutSignal(this.config.timeout)
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      return data.prompt
+
+    } catch (error) {
+      console.error('❌ Chat template error:', error.message)
+      throw error
+    }
+  }
 }
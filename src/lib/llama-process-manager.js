@@ -1,37 +1,79 @@
 /**
  * Llama Process Manager
  *
- * Manages the llama-server subprocess lifecycle:
+ * Supervises the llama-server subprocess lifecycle:
  * - Spawns llama-server with correct configuration
- * - Monitors process health
- * - Auto-restarts on crash
+ * - Watchdog polls /health and kills a hung server
+ * - Restarts after a crash or hang with exponential backoff
  * - Graceful shutdown
+ * - Embedding mode (--embedding) for embedding models
+ *
+ * States: stopped -> starting -> ready -> crashed -> restarting -> starting ...
+ *         A server that keeps crashing ends up failed.
+ *
+ * Events:
+ * - ready (info): Server is accepting requests (after start or restart)
+ * - crashed ({ reason, code, signal }): Server exited unexpectedly, hung
+ *   ('hung') or failed to come back during a restart ('start-failed')
+ * - restarting ({ attempt, maxRestarts, delay }): Restart scheduled
+ * - failed (error): Gave up after maxRestarts attempts
+ * - stopped: Stopped on request
  */
 
+import EventEmitter from 'bare-events'
 import { spawn } from 'bare-subprocess'
 import process from '#process'
 import path from '#path'
 import fs from '#fs/promises'
+import crypto from 'bare-crypto'
+import b4a from 'b4a'
+import { findFreePort, isPortFree } from './port-allocator.js'
+
+// Start attempts when another process takes the port before llama-server binds it
+const PORT_ATTEMPTS = 3
+
+// Embedding pooling types served over /v1/embeddings (one vector per input)
+export const POOLING_TYPES = ['mean', 'cls', 'last']
 
-export class LlamaProcessManager {
+export class LlamaProcessManager extends EventEmitter {
   constructor(config = {}) {
+    super()
+
     this.config = {
       binaryPath: config.binaryPath || this.detectBinaryPath(),
       modelPath: config.modelPath,
       host: config.host || '127.0.0.1',
-      port: config.port || 8080,
-      gpuLayers: config.gpuLayers || 33,
+      port: config.port ?? 8080,         // 0 = any free port
+      strictPort: config.strictPort || false, // Fail instead of moving off an occupied port
+      gpuLayers: config.gpuLayers ?? 33,
       ctxSize: config.ctxSize || 2048,
       threads: config.threads || 4,
       parallel: config.parallel || 4,
+      embedding: config.embedding || false, // Serve embeddings instead of completions
+      pooling: config.pooling || null,      // Embedding pooling (null = the model's default)
+
+      // Supervision
+      watchdogInterval: config.watchdogInterval || 5000, // /health poll interval (ms)
+      watchdogFailures: config.watchdogFailures || 3,    // Consecutive failed polls before a server counts as hung
+      maxRestarts: config.maxRestarts ?? 5,              // Restart attempts before giving up
+      backoffBase: config.backoffBase || 1000,           // First restart delay (doubles each attempt)
+      backoffMax: config.backoffMax || 30000,            // Longest restart delay
+      stableAfter: config.stableAfter || 60000,          // Uptime after which the restart count resets
       ...config
     }
 
     this.process = null
     this.isRunning = false
+    this.state = 'stopped'
+    this.alias = null // Per-launch --alias, checked against /props
     this.startTime = null
     this.restartCount = 0
-    this.maxRestarts = 3
+    this.restartTimer = null
+    this.watchdogTimer = null
+    this.healthFailures = 0
+    this.checkingHealth = false
+    this.hung = false
+    this.stopRequested = false // Set by stop() so the exit isn't treated as a crash
   }
 
   /**
@@ -56,6 +98,11 @@ export class LlamaProcessManager {
 
   /**
    * Start llama-server subprocess
+   *
+   * The port is checked before spawning: port 0 or an occupied port
+   * moves to a free one (unless strictPort is set), and config.port is
+   * updated to the port actually used. If another process answers on
+   * the port instead of our server, startup is retried on another port.
    */
   async start() {
     if (this.isRunning) {
@@ -63,15 +110,64 @@ export class LlamaProcessManager {
       return
     }
 
+    this.stopRequested = false
+    this.hung = false
+
+    for (let attempt = 1; ; attempt++) {
+      this.state = 'starting'
+
+      try {
+        await this._launch()
+        break
+
+      } catch (error) {
+        console.error('❌ Failed to start llama-server:', error.message)
+
+        // Don't leave a half-started server behind
+        await this._killProcess()
+        this.state = 'stopped'
+
+        if (error.code !== 'PORT_CONFLICT' || this.stopRequested || attempt >= PORT_ATTEMPTS) {
+          throw error
+        }
+
+        console.log('🔁 Port taken by another process, retrying on another port...')
+      }
+    }
+
+    console.log('✅ llama-server is ready!')
+    this.state = 'ready'
+    this._startWatchdog()
+    this.emit('ready', this.getInfo())
+  }
+
+  /**
+   * Pick a port, spawn llama-server and wait until it is verified ready
+   *
+   * @private
+   */
+  async _launch() {
+    this.config.port = await findFreePort(this.config.port, {
+      host: this.config.host,
+      strict: this.config.strictPort
+    })
+
+    // Unique alias, so /props proves the server answering is this one
+    this.alias = `qmesh-${b4a.toString(crypto.randomBytes(8), 'hex')}`
+
     console.log('🚀 Starting llama-server...')
     console.log('   Binary:', this.config.binaryPath)
     console.log('   Model:', this.config.modelPath)
     console.log('   Port:', this.config.port)
     console.log('   GPU Layers:', this.config.gpuLayers)
+    if (this.config.embedding) {
+      console.log('   Mode: embedding' + (this.config.pooling ? ` (${this.config.pooling} pooling)` : ''))
+    }
 
     // Build command arguments
     const args = [
       '--model', this.config.modelPath,
+      '--alias', this.alias,
       '--host', this.config.host,
       '--port', String(this.config.port),
       '--n-gpu-layers', String(this.config.gpuLayers),
@@ -81,66 +177,233 @@ export class LlamaProcessManager {
       '--log-disable'  // Reduce noise
     ]
 
-    try {
-      // Spawn llama-server process
-      this.process = spawn(this.config.binaryPath, args, {
-        stdio: ['ignore', 'pipe', 'pipe'],
-        detached: false
-      })
+    if (this.config.embedding) {
+      // Non-causal embedding models must see a whole input in one batch
+      args.push(
+        '--embedding',
+        '--batch-size', String(this.config.ctxSize),
+        '--ubatch-size', String(this.config.ctxSize)
+      )
 
-      this.isRunning = true
-      this.startTime = Date.now()
+      if (this.config.pooling) {
+        args.push('--pooling', this.config.pooling)
+      }
+    }
 
-      // Handle stdout
-      this.process.stdout.on('data', (data) => {
-        const output = data.toString()
-        if (this.config.verbose) {
-          console.log('[llama-server]', output.trim())
-        }
-      })
+    // Spawn llama-server process
+    const child = spawn(this.config.binaryPath, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: false
+    })
 
-      // Handle stderr
-      this.process.stderr.on('data', (data) => {
-        const output = data.toString()
-        // Only log errors and important messages
-        if (output.includes('error') || output.includes('failed')) {
-          console.error('[llama-server ERROR]', output.trim())
-        } else if (this.config.verbose) {
-          console.log('[llama-server]', output.trim())
-        }
-      })
+    this.process = child
+    this.isRunning = true
+    this.startTime = Date.now()
 
-      // Handle process exit
-      this.process.on('exit', (code, signal) => {
-        this.isRunning = false
-        console.log(`📉 llama-server exited (code: ${code}, signal: ${signal})`)
+    // Handle stdout
+    child.stdout.on('data', (data) => {
+      const output = data.toString()
+      if (this.config.verbose) {
+        console.log('[llama-server]', output.trim())
+      }
+    })
 
-        if (code !== 0 && this.restartCount < this.maxRestarts) {
-          console.log(`🔄 Auto-restarting (attempt ${this.restartCount + 1}/${this.maxRestarts})...`)
-          this.restartCount++
-          setTimeout(() => this.start(), 2000)
-        }
-      })
+    // Handle stderr
+    child.stderr.on('data', (data) => {
+      const output = data.toString()
+      // Only log errors and important messages
+      if (output.includes('error') || output.includes('failed')) {
+        console.error('[llama-server ERROR]', output.trim())
+      } else if (this.config.verbose) {
+        console.log('[llama-server]', output.trim())
+      }
+    })
+
+    // Handle process exit
+    child.on('exit', (code, signal) => {
+      // A process from an abandoned start attempt
+      if (child !== this.process) {
+        return
+      }
+
+      const wasReady = this.state === 'ready'
+
+      this.isRunning = false
+      this._stopWatchdog()
+      console.log(`📉 llama-server exited (code: ${code}, signal: ${signal})`)
+
+      // Startup failures are reported by start() itself
+      if (this.stopRequested || !wasReady) {
+        return
+      }
+
+      this.state = 'crashed'
+      this.emit('crashed', { reason: this.hung ? 'hung' : 'exited', code, signal })
+      this._scheduleRestart()
+    })
 
-      // Handle errors
-      this.process.on('error', (error) => {
-        console.error('❌ llama-server error:', error.message)
+    // Handle errors
+    child.on('error', (error) => {
+      console.error('❌ llama-server error:', error.message)
+      if (child === this.process) {
         this.isRunning = false
-      })
+      }
+    })
 
+    try {
       // Wait for server to be ready
       console.log('⏳ Waiting for llama-server to be ready...')
       await this.waitForReady()
-
-      console.log('✅ llama-server is ready!')
-      this.restartCount = 0  // Reset on successful start
+      await this._verifyServer()
 
     } catch (error) {
-      console.error('❌ Failed to start llama-server:', error.message)
+      // Our server died, and something else is holding the port
+      if (!error.code && !this.isRunning && !(await isPortFree(this.config.port, this.config.host))) {
+        error.code = 'PORT_CONFLICT'
+      }
+
       throw error
     }
   }
 
+  /**
+   * Check via /props that the server on our port is the one we spawned
+   *
+   * @private
+   */
+  async _verifyServer() {
+    const response = await fetch(`http://${this.config.host}:${this.config.port}/props`)
+
+    if (!response.ok) {
+      throw new Error(`llama-server /props returned HTTP ${response.status}`)
+    }
+
+    const props = await response.json()
+
+    // Older llama-server builds don't report the alias; fall back to the model file
+    const matches = props.model_alias !== undefined
+      ? props.model_alias === this.alias
+      : path.basename(props.model_path || '') === path.basename(this.config.modelPath)
+
+    if (!matches || !this.isRunning) {
+      const error = new Error(`Port ${this.config.port} is answered by another server`)
+      error.code = 'PORT_CONFLICT'
+      throw error
+    }
+  }
+
+  /**
+   * Kill the current process without graceful shutdown
+   *
+   * @private
+   */
+  async _killProcess() {
+    if (this.isRunning && this.process) {
+      this.process.kill('SIGKILL')
+      await this.waitForExit(1000)
+    }
+
+    this.process = null
+    this.isRunning = false
+  }
+
+  /**
+   * Schedule a restart after a crash, backing off exponentially
+   *
+   * @private
+   */
+  _scheduleRestart() {
+    // A server that stayed up for a while starts over with short delays
+    if (this.startTime && Date.now() - this.startTime > this.config.stableAfter) {
+      this.restartCount = 0
+    }
+
+    if (this.restartCount >= this.config.maxRestarts) {
+      this.state = 'failed'
+      console.error(`❌ llama-server failed ${this.restartCount} restarts, giving up`)
+      this.emit('failed', new Error(`llama-server crashed ${this.restartCount} times in a row`))
+      return
+    }
+
+    const delay = Math.min(this.config.backoffBase * 2 ** this.restartCount, this.config.backoffMax)
+    this.restartCount++
+    this.state = 'restarting'
+
+    console.log(`🔄 Restarting llama-server in ${delay}ms (attempt ${this.restartCount}/${this.config.maxRestarts})...`)
+    this.emit('restarting', { attempt: this.restartCount, maxRestarts: this.config.maxRestarts, delay })
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null
+
+      try {
+        await this.start()
+      } catch (error) {
+        if (this.stopRequested) {
+          return
+        }
+
+        this.emit('crashed', { reason: 'start-failed', error: error.message })
+        this._scheduleRestart()
+      }
+    }, delay)
+  }
+
+  /**
+   * Start polling /health while the server is ready
+   *
+   * @private
+   */
+  _startWatchdog() {
+    this._stopWatchdog()
+    this.healthFailures = 0
+
+    this.watchdogTimer = setInterval(() => {
+      this._checkHealth()
+    }, this.config.watchdogInterval)
+  }
+
+  /**
+   * Stop the /health watchdog
+   *
+   * @private
+   */
+  _stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer)
+      this.watchdogTimer = null
+    }
+  }
+
+  /**
+   * Watchdog tick: kill the server after too many failed health checks
+   *
+   * The kill shows up as an exit, which reports the crash and restarts.
+   *
+   * @private
+   */
+  async _checkHealth() {
+    if (this.state !== 'ready' || this.checkingHealth) {
+      return
+    }
+
+    this.checkingHealth = true
+    const healthy = await this.isHealthy()
+    this.checkingHealth = false
+
+    if (healthy) {
+      this.healthFailures = 0
+      return
+    }
+
+    this.healthFailures++
+
+    if (this.healthFailures >= this.config.watchdogFailures && this.state === 'ready' && this.process) {
+      console.error(`❌ llama-server unresponsive (${this.healthFailures} failed health checks), killing`)
+      this.hung = true
+      this.process.kill('SIGKILL')
+    }
+  }
+
   /**
    * Wait for server to be ready by polling health endpoint
    */
@@ -174,7 +437,16 @@ export class LlamaProcessManager {
    * Stop llama-server subprocess
    */
   async stop(gracefulTimeout = 5000) {
+    this.stopRequested = true
+    this._stopWatchdog()
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer)
+      this.restartTimer = null
+    }
+
     if (!this.isRunning || !this.process) {
+      this.state = 'stopped'
       console.log('⚠️  llama-server not running')
       return
     }
@@ -196,7 +468,9 @@ export class LlamaProcessManager {
 
       this.process = null
       this.isRunning = false
+      this.state = 'stopped'
       console.log('✅ llama-server stopped')
+      this.emit('stopped')
 
     } catch (error) {
       console.error('❌ Error stopping llama-server:', error.message)
@@ -247,6 +521,7 @@ export class LlamaProcessManager {
   getInfo() {
     return {
       isRunning: this.isRunning,
+      state: this.state,
       uptime: this.startTime ? Date.now() - this.startTime : 0,
       restartCount: this.restartCount,
       config: this.config,
@@ -0,0 +1,129 @@
+/**
+ * Model Info - Describe loaded models for routing
+ *
+ * Turns a GGUF path plus llama-server /props into the model description
+ * workers advertise in their status broadcast, and matches client model
+ * requests (e.g. 'tinyllama', 'llama-3.2-3b') against it.
+ *
+ * Usage:
+ *   import { describeModel, modelMatches } from './model-info.js'
+ *
+ *   const info = describeModel('./models/Llama-3.2-3B-Instruct-Q4_K_M.gguf', props)
+ *   // { id: 'llama-3.2-3b', quantization: 'Q4_K_M', contextSize: 2048, chatTemplate: 'llama3', ... }
+ *
+ *   modelMatches(info, 'llama-3.2-3b') // true
+ */
+
+import path from '#path'
+import { getModelInfo } from './model-downloader.js'
+
+// GGUF quantization tags (Q4_K_M, Q8_0, IQ3_XS, F16, BF16, ...)
+const QUANTIZATION_PATTERN = /[.\-_](I?Q\d+(?:_[A-Z0-9]+)*|BF16|F16|F32)$/i
+
+// Markers that identify common chat template families
+const CHAT_TEMPLATE_MARKERS = [
+  ['<|im_start|>', 'chatml'],
+  ['<|start_header_id|>', 'llama3'],
+  ['<start_of_turn>', 'gemma'],
+  ['<|user|>', 'zephyr'],
+  ['[INST]', 'llama2'],
+  ['### Instruction', 'alpaca']
+]
+
+/**
+ * Extract the quantization tag from a GGUF filename
+ *
+ * @param {string} filename - Model file name
+ * @returns {string|null} - Quantization (e.g. 'Q4_K_M') or null
+ */
+export function parseQuantization(filename) {
+  const match = path.basename(filename, '.gguf').match(QUANTIZATION_PATTERN)
+  return match ? match[1].toUpperCase() : null
+}
+
+/**
+ * Derive a short model ID from a GGUF path
+ *
+ * Known models use their registry ID; others use the file name without
+ * extension, quantization and -instruct/-chat suffixes, lowercased.
+ *
+ * @param {string} modelPath - Model file path
+ * @returns {string} - Model ID
+ */
+export function deriveModelId(modelPath) {
+  const known = getModelInfo(modelPath)
+  if (known) {
+    return known.id
+  }
+
+  return path.basename(modelPath, '.gguf')
+    .replace(QUANTIZATION_PATTERN, '')
+    .replace(/[.\-_](instruct|chat)([.\-_].*)?$/i, '')
+    .toLowerCase()
+}
+
+/**
+ * Identify the chat template family from a Jinja template
+ *
+ * The full template is several KB, too large to broadcast every few
+ * seconds, so workers advertise the family name instead.
+ *
+ * @param {string} template - Chat template from /props
+ * @returns {string|null} - Template family, 'custom', or null if none
+ */
+export function detectChatTemplate(template) {
+  if (!template) {
+    return null
+  }
+
+  for (const [marker, name] of CHAT_TEMPLATE_MARKERS) {
+    if (template.includes(marker)) {
+      return name
+    }
+  }
+
+  return 'custom'
+}
+
+/**
+ * Build the advertised description of a loaded model
+ *
+ * @param {string} modelPath - Model file path
+ * @param {object} props - llama-server /props response
+ * @param {object} [overrides] - Explicit fields (e.g. { id }, or embedding: { dimension, pooling })
+ * @returns {object} - { id, file, quantization, contextSize, chatTemplate, slots, embedding }
+ *   embedding is null for generative models
+ */
+export function describeModel(modelPath, props = {}, overrides = {}) {
+  const settings = props.default_generation_settings || {}
+  const file = path.basename(props.model_path || modelPath)
+
+  return {
+    id: overrides.id || deriveModelId(modelPath),
+    file,
+    quantization: parseQuantization(file),
+    contextSize: settings.n_ctx ?? overrides.contextSize ?? null,
+    chatTemplate: detectChatTemplate(props.chat_template),
+    slots: props.total_slots ?? null,
+    embedding: overrides.embedding ?? null
+  }
+}
+
+/**
+ * Check whether an advertised model satisfies a requested model name
+ *
+ * Matches the exact ID, an ID that extends the request at a dash
+ * boundary ('tinyllama' matches 'tinyllama-1.1b'), or the file name.
+ *
+ * @param {object} info - Advertised model description
+ * @param {string} requested - Requested model name
+ * @returns {boolean}
+ */
+export function modelMatches(info, requested) {
+  const wanted = requested.toLowerCase()
+  const id = info.id.toLowerCase()
+
+  return id === wanted ||
+    id.startsWith(`${wanted}-`) ||
+    (info.file && info.file.toLowerCase() === wanted)
+}
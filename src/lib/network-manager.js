@@ -5,6 +5,10 @@
  *
  * Features:
  * - Length-prefixed JSON message protocol
+ * - Schema validation of incoming messages (see protocol.js), with
+ *   protocol_error replies for invalid ones
+ * - hello handshake on connect (protocol version + capabilities), sent
+ *   again whenever the capabilities change
  * - Event-based architecture (peer-connected, peer-disconnected, message)
  * - Multi-topic support
  * - Connection lifecycle management
@@ -14,6 +18,7 @@
  *   const manager = new NetworkManager()
  *
  *   manager.on('peer-connected', (peerId, conn) => { ... })
+ *   manager.on('peer-hello', (peerId, hello) => { ... })
  *   manager.on('message', (peerId, message) => { ... })
  *
  *   await manager.joinNetwork('qmesh-inference')
@@ -24,6 +29,12 @@ import EventEmitter from 'bare-events'
 import Hyperswarm from 'hyperswarm'
 import b4a from 'b4a'
 import crypto from 'bare-crypto'
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  validateMessage,
+  isCompatibleVersion
+} from './protocol.js'
 
 /**
  * NetworkManager - Manages P2P connections via Hyperswarm
@@ -32,12 +43,15 @@ export class NetworkManager extends EventEmitter {
   constructor(options = {}) {
     super()
 
-    this.swarm = new Hyperswarm()
+    // Optional fixed keypair (stable peer identity across restarts)
+    this.swarm = new Hyperswarm(options.keyPair ? { keyPair: options.keyPair } : {})
     this.topics = new Map() // topic -> { discovery, connections: Set }
     this.peers = new Map()  // peerId -> { conn, info, buffers: [] }
 
     this.options = {
       maxMessageSize: options.maxMessageSize || 10 * 1024 * 1024, // 10MB default
+      role: options.role || 'peer',             // Advertised in hello
+      capabilities: options.capabilities || [], // Advertised in hello
       ...options
     }
 
@@ -125,7 +139,8 @@ export class NetworkManager extends EventEmitter {
       info,
       buffers: [],        // Accumulated data buffers
       expectedLength: null, // Expected message length (from prefix)
-      bytesRead: 0        // Bytes read so far
+      bytesRead: 0,       // Bytes read so far
+      hello: null         // Peer's hello (version + capabilities)
     })
 
     // Add connection to all active topics
@@ -137,6 +152,9 @@ export class NetworkManager extends EventEmitter {
     // Emit peer-connected event
     this.emit('peer-connected', peerId, conn, info)
 
+    // Introduce ourselves
+    this._writeMessage(conn, this._createHello())
+
     // Handle incoming data (length-prefixed messages)
     conn.on('data', (data) => {
       this._handleData(peerId, data)
@@ -209,8 +227,7 @@ export class NetworkManager extends EventEmitter {
         const messageStr = b4a.toString(messageBytes, 'utf8')
         const message = JSON.parse(messageStr)
 
-        // Emit message event
-        this.emit('message', peerId, message)
+        this._handleMessage(peerId, message)
 
       } catch (error) {
         this.emit('peer-error', peerId, new Error(`Failed to parse message: ${error.message}`))
@@ -223,6 +240,101 @@ export class NetworkManager extends EventEmitter {
     }
   }
 
+  /**
+   * Validate a parsed message and dispatch it
+   *
+   * Invalid messages get a protocol_error reply (never in response to
+   * another protocol_error, to avoid loops) and are not emitted.
+   *
+   * @private
+   */
+  _handleMessage(peerId, message) {
+    const error = validateMessage(message)
+
+    if (error) {
+      this.emit('invalid-message', peerId, message, error)
+
+      if (message?.type !== 'protocol_error') {
+        this._sendProtocolError(peerId, 'invalid_message', error, message)
+      }
+      return
+    }
+
+    if (message.type === 'hello') {
+      this._handleHello(peerId, message)
+      return
+    }
+
+    // Emit message event
+    this.emit('message', peerId, message)
+  }
+
+  /**
+   * Handle a peer's hello handshake
+   *
+   * Incompatible peers are told why and disconnected.
+   *
+   * @private
+   */
+  _handleHello(peerId, message) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+
+    peer.hello = {
+      protocolVersion: message.protocolVersion,
+      minProtocolVersion: message.minProtocolVersion ?? message.protocolVersion,
+      capabilities: message.capabilities,
+      role: message.role || 'peer'
+    }
+
+    if (!isCompatibleVersion(peer.hello)) {
+      this._sendProtocolError(
+        peerId,
+        'incompatible_version',
+        `Protocol version ${message.protocolVersion} not supported ` +
+        `(this peer speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`,
+        message
+      )
+      this.emit('peer-incompatible', peerId, peer.hello)
+      peer.conn.end()
+      return
+    }
+
+    this.emit('peer-hello', peerId, peer.hello)
+  }
+
+  /**
+   * Send a structured protocol error to a peer
+   *
+   * @private
+   * @param {string} peerId - Peer ID
+   * @param {string} code - Error code (invalid_message, incompatible_version)
+   * @param {string} error - Human-readable description
+   * @param {object} [original] - Message that caused the error
+   */
+  _sendProtocolError(peerId, code, error, original = null) {
+    const reply = {
+      type: 'protocol_error',
+      code,
+      error,
+      timestamp: Date.now()
+    }
+
+    if (typeof original?.requestId === 'string') {
+      reply.requestId = original.requestId
+    }
+
+    if (typeof original?.type === 'string') {
+      reply.inReplyTo = original.type
+    }
+
+    try {
+      this.sendMessage(peerId, reply)
+    } catch (sendError) {
+      // Peer already gone
+    }
+  }
+
   /**
    * Handle peer disconnection
    *
@@ -241,6 +353,31 @@ export class NetworkManager extends EventEmitter {
     this.emit('peer-disconnected', peerId)
   }
 
+  /**
+   * Change the advertised capabilities and tell every connected peer
+   *
+   * @param {string[]} capabilities - New capability list
+   */
+  setCapabilities(capabilities) {
+    this.options.capabilities = capabilities
+    this.broadcast(this._createHello())
+  }
+
+  /**
+   * Build our hello message
+   *
+   * @private
+   */
+  _createHello() {
+    return {
+      type: 'hello',
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      capabilities: this.options.capabilities,
+      role: this.options.role
+    }
+  }
+
   /**
    * Send a message to a specific peer
    *
@@ -334,10 +471,22 @@ export class NetworkManager extends EventEmitter {
       peerId,
       publicKey: b4a.toString(peer.info.publicKey, 'hex'),
       isClient: peer.info.client,
-      isServer: !peer.info.client
+      isServer: !peer.info.client,
+      protocolVersion: peer.hello ? peer.hello.protocolVersion : null,
+      capabilities: peer.hello ? peer.hello.capabilities : [],
+      role: peer.hello ? peer.hello.role : null
     }
   }
 
+  /**
+   * Get this node's swarm public key
+   *
+   * @returns {string} - Public key (hex)
+   */
+  getPublicKey() {
+    return b4a.toString(this.swarm.keyPair.publicKey, 'hex')
+  }
+
   /**
    * Get all joined topics
    *
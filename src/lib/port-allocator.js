@@ -0,0 +1,90 @@
+/**
+ * Port Allocator - Find free loopback ports for llama-server
+ *
+ * Every llama-server on a host (several models, hot swaps, several
+ * workers) needs its own port. Ports are probed by briefly listening on
+ * them; port 0 asks the OS for any free port.
+ *
+ * A probed port can still be taken before llama-server binds it, so
+ * callers must check that the server answering is the one they started
+ * (see LlamaProcessManager).
+ *
+ * Usage:
+ *   const port = await findFreePort(8080)  // 8080, or the next free one
+ *   const any = await findFreePort(0)      // OS-assigned
+ */
+
+import net from '#net'
+
+/**
+ * Check whether a port can be bound
+ *
+ * @param {number} port - Port to probe
+ * @param {string} [host] - Interface (default: 127.0.0.1)
+ * @returns {Promise<boolean>} - True if nothing is listening on it
+ */
+export function isPortFree(port, host = '127.0.0.1') {
+  return new Promise((resolve) => {
+    const server = net.createServer()
+
+    server.once('error', () => resolve(false))
+    server.listen(port, host, () => {
+      server.close(() => resolve(true))
+    })
+  })
+}
+
+/**
+ * Ask the OS for a free port
+ *
+ * @param {string} [host] - Interface (default: 127.0.0.1)
+ * @returns {Promise<number>} - Free port
+ */
+export function getEphemeralPort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+
+    server.once('error', reject)
+    server.listen(0, host, () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * Find a free port, starting from a preferred one
+ *
+ * @param {number} port - Preferred port (0 = any free port)
+ * @param {object} [options] - Options
+ * @param {string} [options.host] - Interface (default: 127.0.0.1)
+ * @param {number} [options.attempts] - Consecutive ports to try before asking the OS (default: 20)
+ * @param {boolean} [options.strict] - Only accept the preferred port
+ * @returns {Promise<number>} - Free port
+ */
+export async function findFreePort(port, options = {}) {
+  const host = options.host || '127.0.0.1'
+  const attempts = options.attempts ?? 20
+
+  if (!port) {
+    return getEphemeralPort(host)
+  }
+
+  if (options.strict) {
+    if (await isPortFree(port, host)) {
+      return port
+    }
+
+    const error = new Error(`Port ${port} is already in use`)
+    error.code = 'PORT_IN_USE'
+    throw error
+  }
+
+  for (let candidate = port; candidate < port + attempts && candidate <= 65535; candidate++) {
+    if (await isPortFree(candidate, host)) {
+      return candidate
+    }
+  }
+
+  return getEphemeralPort(host)
+}
@@ -0,0 +1,298 @@
+/**
+ * QMesh Protocol - Versioned message schema registry
+ *
+ * Every P2P message type is registered here with a schema describing
+ * its fields. NetworkManager validates incoming messages against the
+ * registry before emitting them, so consumers can rely on required
+ * fields being present and well-typed.
+ *
+ * Versioning:
+ *   Peers exchange a `hello` message on connect carrying their
+ *   protocolVersion, the oldest version they still speak
+ *   (minProtocolVersion) and their capabilities. Two peers are
+ *   compatible when each one's version is at least the other's minimum.
+ *
+ * Schema format:
+ *   { fieldName: { type: 'string'|'number'|'boolean'|'object'|'array', required: true } }
+ *   Fields not listed are allowed and passed through unchecked.
+ *
+ * Usage:
+ *   import { validateMessage, registerMessageType } from './protocol.js'
+ *
+ *   const error = validateMessage(message) // null if valid
+ */
+
+// Current protocol version (bump on incompatible message changes)
+export const PROTOCOL_VERSION = 1
+
+// Oldest protocol version this code can still talk to
+export const MIN_PROTOCOL_VERSION = 1
+
+// Message schemas by type
+const schemas = new Map()
+
+/**
+ * Register (or replace) the schema for a message type
+ *
+ * @param {string} type - Message type
+ * @param {object} fields - Field schema
+ */
+export function registerMessageType(type, fields = {}) {
+  schemas.set(type, fields)
+}
+
+/**
+ * Check whether a message type is registered
+ *
+ * @param {string} type - Message type
+ * @returns {boolean}
+ */
+export function isKnownMessageType(type) {
+  return schemas.has(type)
+}
+
+/**
+ * Validate a message against its registered schema
+ *
+ * @param {object} message - Parsed message
+ * @returns {string|null} - Error description, or null if valid
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Message must be a JSON object'
+  }
+
+  if (typeof message.type !== 'string') {
+    return 'Message is missing a string type'
+  }
+
+  const fields = schemas.get(message.type)
+  if (!fields) {
+    return `Unknown message type: ${message.type}`
+  }
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = message[name]
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        return `${message.type}: missing required field ${name}`
+      }
+      continue
+    }
+
+    if (!matchesType(value, rule.type)) {
+      return `${message.type}: field ${name} must be ${rule.type}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check whether a peer's hello is compatible with this node
+ *
+ * @param {object} hello - Peer hello message
+ * @returns {boolean}
+ */
+export function isCompatibleVersion(hello) {
+  const peerMin = hello.minProtocolVersion ?? hello.protocolVersion
+
+  return hello.protocolVersion >= MIN_PROTOCOL_VERSION &&
+    PROTOCOL_VERSION >= peerMin
+}
+
+/**
+ * Check a value against a schema type name
+ *
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value)
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    default:
+      return typeof value === type
+  }
+}
+
+// Field shorthands
+const string = { type: 'string' }
+const number = { type: 'number' }
+const boolean = { type: 'boolean' }
+const object = { type: 'object' }
+const array = { type: 'array' }
+const required = (rule) => ({ ...rule, required: true })
+
+// Connection handshake
+registerMessageType('hello', {
+  protocolVersion: required(number),
+  minProtocolVersion: number,
+  capabilities: required(array),
+  role: string
+})
+
+registerMessageType('protocol_error', {
+  code: required(string),
+  error: required(string),
+  requestId: string,
+  inReplyTo: string
+})
+
+// Client -> worker
+registerMessageType('prompt', {
+  requestId: required(string),
+  prompt: required(string),
+  model: string,
+  options: object,
+  stream: boolean
+})
+
+registerMessageType('chat', {
+  requestId: required(string),
+  messages: required(array),
+  model: string,
+  options: object,
+  stream: boolean
+})
+
+registerMessageType('tokenize', {
+  requestId: required(string),
+  text: string,
+  messages: array,
+  model: string
+})
+
+registerMessageType('embed', {
+  requestId: required(string),
+  texts: required(array),
+  model: string
+})
+
+// End-to-end encrypted envelope (see sealed-box.js). Client -> worker
+// carries ephemeralKey; worker -> client is signed by the worker.
+registerMessageType('sealed', {
+  requestId: required(string),
+  workerId: required(string),
+  nonce: required(string),
+  ciphertext: required(string),
+  ephemeralKey: string,
+  signature: string
+})
+
+registerMessageType('cancel', {
+  requestId: required(string)
+})
+
+// Proof of service, signed by the client (see receipt.js)
+registerMessageType('receipt', {
+  requestId: required(string),
+  workerId: required(string),
+  clientId: required(string),
+  model: string,
+  promptTokens: required(number),
+  completionTokens: required(number),
+  resultHash: required(string),
+  timestamp: required(number),
+  signature: required(string)
+})
+
+registerMessageType('status_request', {
+  requestId: string
+})
+
+// Owner -> worker operator command, signed with the owner's key
+registerMessageType('admin', {
+  requestId: required(string),
+  command: required(string),
+  params: object,
+  timestamp: required(number),
+  signature: required(string)
+})
+
+// Worker -> client
+registerMessageType('status', {
+  workerId: required(string),
+  timestamp: required(number),
+  health: required(object),
+  models: array,
+  constrained: boolean,
+  signature: string
+})
+
+registerMessageType('status_response', {
+  requestId: string,
+  workerId: required(string),
+  health: required(object),
+  models: array,
+  constrained: boolean,
+  signature: string
+})
+
+registerMessageType('queued', {
+  requestId: required(string),
+  workerId: required(string),
+  position: required(number),
+  priority: number,
+  tier: string,
+  signature: string
+})
+
+registerMessageType('inference_chunk', {
+  requestId: required(string),
+  workerId: required(string),
+  seq: required(number),
+  token: required(string),
+  signature: string
+})
+
+registerMessageType('inference_result', {
+  requestId: required(string),
+  workerId: required(string),
+  result: required(object),
+  signature: string
+})
+
+registerMessageType('tokenize_result', {
+  requestId: required(string),
+  workerId: required(string),
+  result: required(object),
+  signature: string
+})
+
+registerMessageType('embedding_result', {
+  requestId: required(string),
+  workerId: required(string),
+  result: required(object),
+  signature: string
+})
+
+registerMessageType('inference_done', {
+  requestId: required(string),
+  workerId: required(string),
+  result: required(object),
+  signature: string
+})
+
+registerMessageType('admin_result', {
+  requestId: required(string),
+  workerId: required(string),
+  ok: required(boolean),
+  result: object,
+  error: string,
+  signature: string
+})
+
+registerMessageType('inference_error', {
+  requestId: string,
+  workerId: required(string),
+  error: required(string),
+  retryable: boolean,
+  code: string,
+  details: object,
+  signature: string
+})
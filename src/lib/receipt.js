@@ -0,0 +1,149 @@
+/**
+ * Work Receipts - Client-signed proof that a worker served a request
+ *
+ * When a request completes, the client signs a receipt over what it
+ * received: requestId, workerId, token counts and a hash of the result
+ * text. The worker checks the receipt against what it actually sent and
+ * stores it. Scores and credits are computed only from receipts that
+ * verify against the signing client's key, so a worker cannot inflate
+ * its own numbers by announcing them.
+ *
+ * A receipt shows that some client accepted the work. It does not stop
+ * one operator from running both sides; receipts a worker signed for
+ * itself (clientId === workerId) are never counted.
+ *
+ * Usage:
+ *   // Client, on inference_result
+ *   const receipt = createReceipt({ requestId, workerId, result }, identity)
+ *
+ *   // Worker / score keeper
+ *   const problem = verifyReceipt(receipt, { workerId }) // null if valid
+ *   const { totalScore } = scoreReceipts(receipts, workerId)
+ */
+
+import hypercoreCrypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import { Identity } from './identity.js'
+
+/**
+ * Hash a result text for a receipt
+ *
+ * @param {string} text - Generated text
+ * @returns {string} - BLAKE2b-256 hash (hex)
+ */
+export function hashResult(text) {
+  return b4a.toString(hypercoreCrypto.data(b4a.from(text || '', 'utf8')), 'hex')
+}
+
+/**
+ * Create and sign a receipt for a completed request
+ *
+ * @param {object} served - What was received
+ * @param {string} served.requestId - Request ID
+ * @param {string} served.workerId - Worker that served it
+ * @param {object} served.result - Result as received ({ text, tokens, promptTokens, model })
+ * @param {Identity} identity - Client identity (its key must be the one the worker saw)
+ * @returns {object} - Signed receipt message
+ */
+export function createReceipt(served, identity) {
+  const { result = {} } = served
+
+  return identity.sign({
+    type: 'receipt',
+    requestId: served.requestId,
+    workerId: served.workerId,
+    clientId: identity.id,
+    model: result.model || null,
+    promptTokens: result.promptTokens || 0,
+    completionTokens: result.tokens || 0,
+    resultHash: hashResult(result.text),
+    timestamp: Date.now()
+  })
+}
+
+/**
+ * Check a receipt's fields and signature
+ *
+ * @param {object} receipt - Signed receipt
+ * @param {object} [expected] - Values the receipt must carry
+ * @param {string} [expected.workerId] - Worker it must be for
+ * @param {string} [expected.clientId] - Client that must have signed it
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function verifyReceipt(receipt, expected = {}) {
+  if (!receipt || receipt.type !== 'receipt') {
+    return 'not a receipt'
+  }
+
+  for (const field of ['requestId', 'workerId', 'clientId', 'resultHash']) {
+    if (typeof receipt[field] !== 'string') {
+      return `missing ${field}`
+    }
+  }
+
+  for (const field of ['promptTokens', 'completionTokens']) {
+    if (!Number.isInteger(receipt[field]) || receipt[field] < 0) {
+      return `${field} must be a non-negative integer`
+    }
+  }
+
+  if (expected.workerId && receipt.workerId !== expected.workerId) {
+    return 'receipt is for another worker'
+  }
+
+  if (expected.clientId && receipt.clientId !== expected.clientId) {
+    return 'receipt is signed by another client'
+  }
+
+  if (receipt.clientId === receipt.workerId) {
+    return 'self-signed receipt'
+  }
+
+  if (!Identity.verify(receipt, receipt.clientId)) {
+    return 'invalid signature'
+  }
+
+  return null
+}
+
+/**
+ * Compute a worker's score from its receipts
+ *
+ * Only receipts for this worker that verify are counted, each request
+ * once. One point per generated token.
+ *
+ * @param {object[]} receipts - Receipts the worker presents
+ * @param {string} workerId - Worker being scored
+ * @returns {object} - { totalScore, requestCount, promptTokens, completionTokens, clients, rejected }
+ */
+export function scoreReceipts(receipts, workerId) {
+  const seen = new Set()
+  const clients = new Set()
+  const totals = {
+    totalScore: 0,
+    requestCount: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    clients: 0,
+    rejected: 0
+  }
+
+  for (const receipt of Array.isArray(receipts) ? receipts : []) {
+    if (verifyReceipt(receipt, { workerId }) || seen.has(receipt.requestId)) {
+      totals.rejected++
+      continue
+    }
+
+    seen.add(receipt.requestId)
+    clients.add(receipt.clientId)
+
+    totals.requestCount++
+    totals.promptTokens += receipt.promptTokens
+    totals.completionTokens += receipt.completionTokens
+  }
+
+  totals.totalScore = totals.completionTokens
+  totals.clients = clients.size
+
+  return totals
+}
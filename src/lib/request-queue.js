@@ -0,0 +1,201 @@
+/**
+ * Request Queue - Bounded admission queue with concurrency control
+ *
+ * Runs at most `concurrency` jobs at once (matching llama-server's
+ * --parallel slot count) and holds up to `capacity` more in a backlog.
+ * Jobs beyond that are refused so the caller can reject them
+ * immediately instead of piling work onto llama-server.
+ *
+ * The backlog order comes from a scheduler (see scheduler.js): FIFO by
+ * default, or by job.priority with the priority scheduler.
+ *
+ * Usage:
+ *   const queue = new RequestQueue({ concurrency: 4, capacity: 10 })
+ *
+ *   if (queue.isFull()) {
+ *     // reject
+ *   }
+ *
+ *   const position = queue.enqueue({ requestId, run: async () => { ... } })
+ *   // position 0 = started immediately, N = Nth in the backlog
+ */
+
+import EventEmitter from 'bare-events'
+import { FifoScheduler } from './scheduler.js'
+
+/**
+ * RequestQueue - Scheduled backlog in front of a fixed number of slots
+ */
+export class RequestQueue extends EventEmitter {
+  /**
+   * @param {object} options - Queue options
+   * @param {number} options.concurrency - Jobs running at once (default: 4)
+   * @param {number} options.capacity - Waiting jobs allowed (default: 10)
+   * @param {object} options.scheduler - Backlog policy (default: FifoScheduler)
+   */
+  constructor(options = {}) {
+    super()
+
+    this.options = {
+      concurrency: options.concurrency || 4,
+      capacity: options.capacity ?? 10,
+      ...options
+    }
+
+    this.active = new Map() // requestId -> job
+    this.backlog = options.scheduler || new FifoScheduler() // Waiting jobs, in run order
+  }
+
+  /**
+   * Check whether a new job would be refused
+   *
+   * @returns {boolean} - True if all slots are busy and the backlog is full
+   */
+  isFull() {
+    return this.active.size >= this.options.concurrency &&
+      this.backlog.size >= this.options.capacity
+  }
+
+  /**
+   * Add a job to the queue
+   *
+   * @param {object} job - Job to run
+   * @param {string} job.requestId - Request identifier
+   * @param {Function} job.run - Async function performing the work
+   * @param {number} [job.priority] - Sender credits (priority scheduler only)
+   * @returns {number} - 0 if started immediately, otherwise 1-based backlog position
+   * @throws {Error} - If the queue is full
+   */
+  enqueue(job) {
+    if (this.isFull()) {
+      throw new Error('Request queue full')
+    }
+
+    if (this.active.size < this.options.concurrency) {
+      this._start(job)
+      return 0
+    }
+
+    const position = this.backlog.push({ ...job, enqueuedAt: Date.now() })
+    this.emit('queued', job.requestId, position)
+    this.emit('changed', this.getStats())
+
+    return position
+  }
+
+  /**
+   * Start a job in a free slot
+   *
+   * @private
+   */
+  _start(job) {
+    this.active.set(job.requestId, job)
+    this.emit('started', job.requestId, job.enqueuedAt ? Date.now() - job.enqueuedAt : 0)
+    this.emit('changed', this.getStats())
+
+    Promise.resolve()
+      .then(() => job.run())
+      .catch((error) => this.emit('job-error', job.requestId, error))
+      .finally(() => {
+        this.active.delete(job.requestId)
+        this.emit('finished', job.requestId)
+        this._drain()
+      })
+  }
+
+  /**
+   * Move backlog jobs into free slots
+   *
+   * @private
+   */
+  _drain() {
+    while (this.active.size < this.options.concurrency && this.backlog.size > 0) {
+      this._start(this.backlog.shift())
+    }
+
+    this.emit('changed', this.getStats())
+  }
+
+  /**
+   * Get 1-based backlog position of a request
+   *
+   * @param {string} requestId - Request identifier
+   * @returns {number} - Position, 0 if running, -1 if unknown
+   */
+  getPosition(requestId) {
+    if (this.active.has(requestId)) {
+      return 0
+    }
+
+    return this.backlog.getPosition(requestId)
+  }
+
+  /**
+   * Look up a running or waiting job
+   *
+   * @param {string} requestId - Request identifier
+   * @returns {object|null} - Job, or null if unknown
+   */
+  getJob(requestId) {
+    return this.active.get(requestId) ||
+      this.backlog.find(requestId)
+  }
+
+  /**
+   * Remove a waiting job without running it
+   *
+   * @param {string} requestId - Request identifier
+   * @returns {object|null} - Removed job, or null if it is not waiting
+   */
+  remove(requestId) {
+    const [job] = this.backlog.removeWhere(waiting => waiting.requestId === requestId)
+    if (!job) {
+      return null
+    }
+
+    this.emit('changed', this.getStats())
+    return job
+  }
+
+  /**
+   * Remove every waiting job matching a predicate
+   *
+   * @param {Function} predicate - Called with each waiting job
+   * @returns {object[]} - Removed jobs
+   */
+  removeWhere(predicate) {
+    const removed = this.backlog.removeWhere(predicate)
+    if (removed.length === 0) {
+      return removed
+    }
+
+    this.emit('changed', this.getStats())
+    return removed
+  }
+
+  /**
+   * Remove all waiting jobs without running them
+   *
+   * @returns {object[]} - Jobs that were dropped
+   */
+  clear() {
+    const dropped = this.backlog.clear()
+    this.emit('changed', this.getStats())
+    return dropped
+  }
+
+  /**
+   * Get queue statistics
+   *
+   * @returns {object} - { active, waiting, concurrency, capacity, scheduler }
+   */
+  getStats() {
+    return {
+      active: this.active.size,
+      waiting: this.backlog.size,
+      concurrency: this.options.concurrency,
+      capacity: this.options.capacity,
+      scheduler: this.backlog.name
+    }
+  }
+}
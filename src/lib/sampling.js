@@ -0,0 +1,344 @@
+/**
+ * Sampling Options - Generation parameters carried over P2P
+ *
+ * One schema for every sampling option a client may send in a prompt or
+ * chat request's `options`. Clients validate before sending, workers
+ * validate again (invalid options are rejected, not ignored) and then
+ * clamp the values to the worker's policy before they are mapped onto
+ * llama-server's request fields (see LlamaHttpClient).
+ *
+ * Constrained decoding: `grammar` (GBNF) or `jsonSchema` restrict the
+ * output to a formal language; llama-server compiles either into a
+ * sampler. A request may carry one or the other, not both.
+ *
+ * Schema format (like src/config/worker-config.js):
+ *   { type: 'integer'|'number'|'string'|'array'|'object', min, max, values, maxLength, check, description }
+ *   min/max are hard limits: values outside them are invalid.
+ *
+ * Policy format:
+ *   { optionName: { min, max } } - Values are clamped into this range.
+ *   For stop, max limits the number of entries; for logitBias it bounds
+ *   each bias.
+ *
+ * Usage:
+ *   const problem = validateSamplingOptions(message.options) // null if valid
+ *   const { options, clamped } = clampSamplingOptions(message.options, policy)
+ */
+
+// Largest llama.cpp sampling seed (0xFFFFFFFF means "random")
+export const MAX_SEED = 0xfffffffe
+
+// Sampling options (camelCase, as sent over P2P)
+export const SAMPLING_OPTIONS = {
+  maxTokens: {
+    type: 'integer',
+    min: 1,
+    description: 'Maximum tokens to generate'
+  },
+  temperature: {
+    type: 'number',
+    min: 0,
+    description: 'Sampling temperature (0 = greedy)'
+  },
+  topP: {
+    type: 'number',
+    min: 0,
+    max: 1,
+    description: 'Nucleus sampling probability mass'
+  },
+  topK: {
+    type: 'integer',
+    min: 0,
+    description: 'Sample from the K most likely tokens (0 = off)'
+  },
+  minP: {
+    type: 'number',
+    min: 0,
+    max: 1,
+    description: 'Minimum token probability relative to the most likely one'
+  },
+  repeatPenalty: {
+    type: 'number',
+    min: 0,
+    description: 'Penalty for repeated tokens (1 = off)'
+  },
+  repeatLastN: {
+    type: 'integer',
+    min: -1,
+    description: 'Tokens considered for the repeat penalty (-1 = whole context)'
+  },
+  presencePenalty: {
+    type: 'number',
+    description: 'Penalty for tokens already present (0 = off)'
+  },
+  frequencyPenalty: {
+    type: 'number',
+    description: 'Penalty scaled by how often a token appeared (0 = off)'
+  },
+  stop: {
+    type: 'array',
+    description: 'Stop generating at any of these strings'
+  },
+  logitBias: {
+    type: 'object',
+    check: checkLogitBias,
+    description: 'Bias per token: { tokenIdOrText: bias, or false to ban it }'
+  },
+  mirostat: {
+    type: 'integer',
+    values: [0, 1, 2],
+    description: 'Mirostat sampling version (0 = off)'
+  },
+  mirostatTau: {
+    type: 'number',
+    min: 0,
+    description: 'Mirostat target entropy'
+  },
+  mirostatEta: {
+    type: 'number',
+    min: 0,
+    description: 'Mirostat learning rate'
+  },
+  seed: {
+    type: 'integer',
+    min: 0,
+    max: MAX_SEED,
+    description: 'Sampling seed'
+  },
+  grammar: {
+    type: 'string',
+    maxLength: 65536,
+    description: 'GBNF grammar the output must match'
+  },
+  jsonSchema: {
+    type: 'object',
+    check: (schema) => JSON.stringify(schema).length > 65536 ? 'must be at most 64 KiB as JSON' : null,
+    description: 'JSON Schema the output must match'
+  }
+}
+
+// Options that need a worker with constrained decoding
+export const CONSTRAINT_OPTIONS = ['grammar', 'jsonSchema']
+
+// What a worker allows unless configured otherwise (config.samplingPolicy)
+export const DEFAULT_SAMPLING_POLICY = {
+  maxTokens: { max: 4096 },
+  temperature: { max: 2 },
+  topK: { max: 1000 },
+  repeatPenalty: { max: 2 },
+  repeatLastN: { max: 4096 },
+  presencePenalty: { min: -2, max: 2 },
+  frequencyPenalty: { min: -2, max: 2 },
+  stop: { max: 16 },
+  logitBias: { min: -100, max: 100 },
+  mirostatTau: { max: 10 },
+  mirostatEta: { max: 1 }
+}
+
+// Most logit bias entries a request may carry
+const MAX_LOGIT_BIAS_ENTRIES = 1024
+
+/**
+ * Check sampling options against the schema
+ *
+ * Keys that are not sampling options are ignored.
+ *
+ * @param {object} [options] - Options from a request
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function validateSamplingOptions(options) {
+  if (options === undefined || options === null) {
+    return null
+  }
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'options must be an object'
+  }
+
+  for (const [key, option] of Object.entries(SAMPLING_OPTIONS)) {
+    const value = options[key]
+
+    if (value === undefined || value === null) {
+      continue
+    }
+
+    const problem = checkOption(option, value)
+    if (problem) {
+      return `Invalid ${key}: ${problem}`
+    }
+  }
+
+  if (CONSTRAINT_OPTIONS.every(key => options[key] !== undefined && options[key] !== null)) {
+    return 'Invalid options: use grammar or jsonSchema, not both'
+  }
+
+  return null
+}
+
+/**
+ * Check whether options ask for constrained decoding
+ *
+ * @param {object} [options] - Request options
+ * @returns {boolean} - True if grammar or jsonSchema is set
+ */
+export function isConstrained(options = {}) {
+  return CONSTRAINT_OPTIONS.some(key => options[key] !== undefined && options[key] !== null)
+}
+
+/**
+ * Pick the sampling options out of an object, dropping unset ones
+ *
+ * @param {object} [options] - Any options object
+ * @returns {object} - Sampling options only
+ */
+export function pickSamplingOptions(options = {}) {
+  const picked = {}
+
+  for (const key of Object.keys(SAMPLING_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      picked[key] = options[key]
+    }
+  }
+
+  return picked
+}
+
+/**
+ * Clamp valid sampling options to a worker policy
+ *
+ * @param {object} [options] - Options that passed validateSamplingOptions()
+ * @param {object} [policy] - { optionName: { min, max } } (default: DEFAULT_SAMPLING_POLICY)
+ * @returns {object} - { options, clamped } - Clamped sampling options, and the names changed
+ */
+export function clampSamplingOptions(options = {}, policy = DEFAULT_SAMPLING_POLICY) {
+  const result = pickSamplingOptions(options)
+  const clamped = []
+
+  for (const [key, value] of Object.entries(result)) {
+    const limits = policy[key]
+    if (!limits) {
+      continue
+    }
+
+    let next = value
+
+    if (key === 'stop') {
+      next = limits.max !== undefined ? value.slice(0, limits.max) : value
+    } else if (key === 'logitBias') {
+      next = Object.fromEntries(Object.entries(value).map(([token, bias]) =>
+        [token, bias === false ? false : clamp(bias, limits)]
+      ))
+    } else {
+      next = clamp(value, limits)
+    }
+
+    if (JSON.stringify(next) !== JSON.stringify(value)) {
+      result[key] = next
+      clamped.push(key)
+    }
+  }
+
+  return { options: result, clamped }
+}
+
+/**
+ * Check a worker sampling policy
+ *
+ * @param {object} policy - { optionName: { min, max } }
+ * @returns {string|null} - Problem description, or null if valid
+ */
+export function validateSamplingPolicy(policy) {
+  for (const [key, limits] of Object.entries(policy)) {
+    if (!SAMPLING_OPTIONS[key]) {
+      return `${key} is not a sampling option`
+    }
+
+    if (CONSTRAINT_OPTIONS.includes(key)) {
+      return `${key} cannot be limited (set constrainedDecoding: false to refuse it)`
+    }
+
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return `${key} must be an object of { min, max }`
+    }
+
+    for (const bound of ['min', 'max']) {
+      if (limits[bound] !== undefined && !Number.isFinite(limits[bound])) {
+        return `${key}.${bound} must be a number`
+      }
+    }
+
+    if (limits.min > limits.max) {
+      return `${key}.min must not exceed ${key}.max`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check one option value
+ *
+ * @private
+ * @returns {string|null} - Problem description, or null if valid
+ */
+function checkOption(option, value) {
+  switch (option.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `must be an integer (got ${JSON.stringify(value)})`
+      break
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${JSON.stringify(value)})`
+      break
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string'
+      if (value.length > option.maxLength) return `must be at most ${option.maxLength} characters`
+      return null
+    case 'array':
+      if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || entry.length === 0)) {
+        return 'must be an array of non-empty strings'
+      }
+      return null
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object'
+      return option.check ? option.check(value) : null
+  }
+
+  if (option.values && !option.values.includes(value)) {
+    return `must be one of ${option.values.join(', ')} (got ${value})`
+  }
+
+  if (option.min !== undefined && value < option.min) {
+    return `must be at least ${option.min} (got ${value})`
+  }
+
+  if (option.max !== undefined && value > option.max) {
+    return `must be at most ${option.max} (got ${value})`
+  }
+
+  return null
+}
+
+/**
+ * Check a logit bias map
+ *
+ * @private
+ */
+function checkLogitBias(value) {
+  const entries = Object.entries(value)
+
+  if (entries.length > MAX_LOGIT_BIAS_ENTRIES) {
+    return `must have at most ${MAX_LOGIT_BIAS_ENTRIES} entries`
+  }
+
+  const bad = entries.find(([, bias]) => bias !== false && !(typeof bias === 'number' && Number.isFinite(bias)))
+  return bad ? `bias for ${JSON.stringify(bad[0])} must be a number or false` : null
+}
+
+/**
+ * Clamp a number into { min, max }
+ *
+ * @private
+ */
+function clamp(value, { min = -Infinity, max = Infinity }) {
+  return Math.min(max, Math.max(min, value))
+}
@@ -0,0 +1,175 @@
+/**
+ * Scheduler - Backlog ordering policies for RequestQueue
+ *
+ * A scheduler holds the jobs waiting for a slot and decides which one
+ * runs next. RequestQueue owns admission, capacity and concurrency; the
+ * scheduler only orders the backlog.
+ *
+ * Policies:
+ * - fifo: First come, first served
+ * - priority: Higher credits first, FIFO within the same credits
+ *   (same semantics as devtest/lib/priority-queue.js)
+ *
+ * Usage:
+ *   const queue = new RequestQueue({
+ *     concurrency: 4,
+ *     capacity: 10,
+ *     scheduler: createScheduler('priority')
+ *   })
+ *
+ *   queue.enqueue({ requestId, priority: credits, run: async () => { ... } })
+ */
+
+// Available scheduling policies
+export const SCHEDULERS = ['fifo', 'priority']
+
+/**
+ * FifoScheduler - Oldest waiting job first
+ */
+export class FifoScheduler {
+  constructor() {
+    this.name = 'fifo'
+    this.jobs = []
+  }
+
+  /**
+   * Number of waiting jobs
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.jobs.length
+  }
+
+  /**
+   * Add a waiting job
+   *
+   * @param {object} job - Job ({ requestId, ... })
+   * @returns {number} - 1-based position of the job
+   */
+  push(job) {
+    this.jobs.push(job)
+    return this.jobs.length
+  }
+
+  /**
+   * Remove and return the job that should run next
+   *
+   * @returns {object|null} - Next job, or null if none are waiting
+   */
+  shift() {
+    return this.jobs.shift() || null
+  }
+
+  /**
+   * Get 1-based position of a waiting job
+   *
+   * @param {string} requestId - Request identifier
+   * @returns {number} - Position, or -1 if not waiting
+   */
+  getPosition(requestId) {
+    const index = this.jobs.findIndex(job => job.requestId === requestId)
+    return index === -1 ? -1 : index + 1
+  }
+
+  /**
+   * Look up a waiting job
+   *
+   * @param {string} requestId - Request identifier
+   * @returns {object|null} - Job, or null if not waiting
+   */
+  find(requestId) {
+    return this.jobs.find(job => job.requestId === requestId) || null
+  }
+
+  /**
+   * Remove every waiting job matching a predicate
+   *
+   * @param {Function} predicate - Called with each waiting job
+   * @returns {object[]} - Removed jobs, in run order
+   */
+  removeWhere(predicate) {
+    const removed = this.jobs.filter(predicate)
+
+    if (removed.length > 0) {
+      this.jobs = this.jobs.filter(job => !predicate(job))
+    }
+
+    return removed
+  }
+
+  /**
+   * Remove all waiting jobs
+   *
+   * @returns {object[]} - Removed jobs, in run order
+   */
+  clear() {
+    const removed = this.jobs
+    this.jobs = []
+    return removed
+  }
+}
+
+/**
+ * PriorityScheduler - Highest job.priority first, FIFO within a tier
+ */
+export class PriorityScheduler extends FifoScheduler {
+  constructor() {
+    super()
+    this.name = 'priority'
+  }
+
+  /**
+   * Add a waiting job behind every job with the same or higher priority
+   *
+   * @param {object} job - Job ({ requestId, priority, ... })
+   * @returns {number} - 1-based position of the job
+   */
+  push(job) {
+    const priority = job.priority || 0
+    const index = this.jobs.findIndex(waiting => (waiting.priority || 0) < priority)
+
+    if (index === -1) {
+      this.jobs.push(job)
+      return this.jobs.length
+    }
+
+    this.jobs.splice(index, 0, job)
+    return index + 1
+  }
+}
+
+/**
+ * Create a scheduler by policy name
+ *
+ * @param {string} [name] - 'fifo' (default) or 'priority'
+ * @returns {FifoScheduler|PriorityScheduler}
+ */
+export function createScheduler(name = 'fifo') {
+  switch (name) {
+    case 'fifo':
+      return new FifoScheduler()
+    case 'priority':
+      return new PriorityScheduler()
+    default:
+      throw new Error(`Unknown scheduler: ${name} (expected ${SCHEDULERS.join(' or ')})`)
+  }
+}
+
+/**
+ * Name the credit tier of a priority
+ *
+ * Tier boundaries match devtest/lib/priority-queue.js.
+ *
+ * @param {number} credits - Sender credits
+ * @returns {string} - master, diamond, platinum, gold, silver, bronze or unverified
+ */
+export function getCreditTier(credits) {
+  if (credits >= 10000) return 'master'
+  if (credits >= 4000) return 'diamond'
+  if (credits >= 1500) return 'platinum'
+  if (credits >= 500) return 'gold'
+  if (credits >= 100) return 'silver'
+  if (credits >= 1) return 'bronze'
+  return 'unverified'
+}
@@ -0,0 +1,120 @@
+/**
+ * Sealed Box - End-to-end encryption of request payloads
+ *
+ * Prompts and results are encrypted between the client and the one
+ * worker it chose, so relays and other peers on the topic only ever see
+ * ciphertext.
+ *
+ * Scheme (libsodium crypto_box: X25519 + XSalsa20-Poly1305):
+ * - The worker's X25519 key is derived from its ed25519 identity
+ *   (workerId), so no extra key exchange is needed.
+ * - The client generates a fresh ephemeral keypair per request and
+ *   sends its public half alongside the ciphertext.
+ * - The worker encrypts everything it sends back for that request to
+ *   the ephemeral key. Only the requesting client can read it.
+ *
+ * Usage:
+ *   const ephemeral = createEphemeralKeyPair()
+ *   const box = seal(message, toCurvePublicKey(workerId), ephemeral.secretKey)
+ *
+ *   // Worker side
+ *   const message = open(box, ephemeral.publicKey, toCurveSecretKey(identity.keyPair.secretKey))
+ */
+
+import sodium from 'sodium-universal'
+import b4a from 'b4a'
+
+/**
+ * Generate an ephemeral X25519 keypair for one request
+ *
+ * @returns {object} - { publicKey, secretKey } buffers
+ */
+export function createEphemeralKeyPair() {
+  const publicKey = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES)
+  const secretKey = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES)
+
+  sodium.crypto_box_keypair(publicKey, secretKey)
+
+  return { publicKey, secretKey }
+}
+
+/**
+ * Convert an ed25519 public key (e.g. a workerId) to X25519
+ *
+ * @param {string|Buffer} publicKey - ed25519 public key (hex or buffer)
+ * @returns {Buffer} - X25519 public key
+ */
+export function toCurvePublicKey(publicKey) {
+  const edKey = typeof publicKey === 'string' ? b4a.from(publicKey, 'hex') : publicKey
+  const curveKey = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES)
+
+  sodium.crypto_sign_ed25519_pk_to_curve25519(curveKey, edKey)
+
+  return curveKey
+}
+
+/**
+ * Convert an ed25519 secret key to X25519
+ *
+ * @param {Buffer} secretKey - ed25519 secret key
+ * @returns {Buffer} - X25519 secret key
+ */
+export function toCurveSecretKey(secretKey) {
+  const curveKey = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES)
+
+  sodium.crypto_sign_ed25519_sk_to_curve25519(curveKey, secretKey)
+
+  return curveKey
+}
+
+/**
+ * Encrypt a message for a recipient
+ *
+ * @param {object} message - Message to encrypt (JSON-serializable)
+ * @param {Buffer} recipientKey - Recipient X25519 public key
+ * @param {Buffer} senderSecretKey - Sender X25519 secret key
+ * @returns {object} - { nonce (hex), ciphertext (base64) }
+ */
+export function seal(message, recipientKey, senderSecretKey) {
+  const plaintext = b4a.from(JSON.stringify(message), 'utf8')
+  const nonce = b4a.alloc(sodium.crypto_box_NONCEBYTES)
+  const ciphertext = b4a.alloc(plaintext.length + sodium.crypto_box_MACBYTES)
+
+  sodium.randombytes_buf(nonce)
+  sodium.crypto_box_easy(ciphertext, plaintext, nonce, recipientKey, senderSecretKey)
+
+  return {
+    nonce: b4a.toString(nonce, 'hex'),
+    ciphertext: b4a.toString(ciphertext, 'base64')
+  }
+}
+
+/**
+ * Decrypt a sealed message
+ *
+ * @param {object} box - { nonce (hex), ciphertext (base64) }
+ * @param {Buffer} senderKey - Sender X25519 public key
+ * @param {Buffer} recipientSecretKey - Recipient X25519 secret key
+ * @returns {object|null} - Decrypted message, or null if it cannot be opened
+ */
+export function open(box, senderKey, recipientSecretKey) {
+  try {
+    const nonce = b4a.from(box.nonce, 'hex')
+    const ciphertext = b4a.from(box.ciphertext, 'base64')
+
+    if (nonce.length !== sodium.crypto_box_NONCEBYTES || ciphertext.length < sodium.crypto_box_MACBYTES) {
+      return null
+    }
+
+    const plaintext = b4a.alloc(ciphertext.length - sodium.crypto_box_MACBYTES)
+
+    if (!sodium.crypto_box_open_easy(plaintext, ciphertext, nonce, senderKey, recipientSecretKey)) {
+      return null
+    }
+
+    return JSON.parse(b4a.toString(plaintext, 'utf8'))
+
+  } catch (error) {
+    return null
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * Usage Ledger - Persistent record of the requests a worker served
+ *
+ * Every request a worker ran (completed, failed or cancelled) is stored
+ * in a Hyperbee in Pear storage, together with running totals per day
+ * and per client, so operators can see what their hardware served
+ * across restarts.
+ *
+ * Keys:
+ *   requests/<timestamp>/<requestId> - One entry per request, time-ordered
+ *   days/<YYYY-MM-DD>                - Totals for that UTC day
+ *   clients/<clientId>               - Totals for that client
+ *   receipts/<requestId>             - Client-signed receipt (see receipt.js)
+ *
+ * Usage:
+ *   const ledger = new UsageLedger({ storagePath: getLedgerPath() })
+ *   await ledger.init()
+ *
+ *   await ledger.record({ requestId, clientId, model, promptTokens, completionTokens, duration, outcome })
+ *
+ *   await ledger.getDailyTotals({ from: '2026-10-01' })
+ *   await ledger.export({ format: 'csv' })
+ */
+
+import path from '#path'
+import process from '#process'
+import Hyperbee from 'hyperbee'
+import Hypercore from 'hypercore'
+
+// Request outcomes
+export const OUTCOMES = ['completed', 'failed', 'cancelled']
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'timestamp',
+  'requestId',
+  'clientId',
+  'model',
+  'outcome',
+  'promptTokens',
+  'completionTokens',
+  'duration',
+  'error'
+]
+
+/**
+ * Resolve where a ledger is stored
+ *
+ * @param {string} name - Ledger directory name
+ * @returns {string} - Path under Pear storage (or the working directory)
+ */
+export function getLedgerPath(name = 'usage-ledger') {
+  const basePath = typeof Pear !== 'undefined' && Pear.config
+    ? Pear.config.storage
+    : process.cwd()
+
+  return path.join(basePath, name)
+}
+
+/**
+ * UsageLedger - Hyperbee-backed log of served requests
+ */
+export class UsageLedger {
+  /**
+   * @param {object} options - Ledger options
+   * @param {string} options.storagePath - Hypercore storage directory
+   */
+  constructor(options = {}) {
+    this.storagePath = options.storagePath || './usage-ledger'
+    this.core = null
+    this.db = null
+    this.isReady = false
+
+    // Writes are serialized so day/client totals never lose an update
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * Open (or create) the ledger
+   */
+  async init() {
+    this.core = new Hypercore(this.storagePath, {
+      valueEncoding: 'json'
+    })
+
+    await this.core.ready()
+
+    this.db = new Hyperbee(this.core, {
+      keyEncoding: 'utf-8',
+      valueEncoding: 'json'
+    })
+
+    await this.db.ready()
+    this.isReady = true
+  }
+
+  /**
+   * Record a served request
+   *
+   * @param {object} entry - Request usage
+   * @param {string} entry.requestId - Request ID
+   * @param {string} entry.clientId - Client public key (hex)
+   * @param {string} entry.model - Model that served it
+   * @param {number} [entry.promptTokens] - Prompt tokens evaluated
+   * @param {number} [entry.completionTokens] - Tokens generated
+   * @param {number} [entry.duration] - Run time in ms
+   * @param {string} entry.outcome - 'completed', 'failed' or 'cancelled'
+   * @param {string} [entry.error] - Failure reason
+   * @param {number} [entry.timestamp] - Start time (default: now)
+   * @returns {Promise<object>} - Stored entry
+   */
+  record(entry) {
+    if (!this.isReady) {
+      return Promise.reject(new Error('Ledger not initialized'))
+    }
+
+    if (!OUTCOMES.includes(entry.outcome)) {
+      return Promise.reject(new Error(`Unknown outcome: ${entry.outcome}`))
+    }
+
+    const stored = {
+      requestId: entry.requestId,
+      clientId: entry.clientId,
+      model: entry.model,
+      outcome: entry.outcome,
+      promptTokens: entry.promptTokens || 0,
+      completionTokens: entry.completionTokens || 0,
+      duration: entry.duration || 0,
+      error: entry.error || null,
+      timestamp: entry.timestamp || Date.now()
+    }
+
+    const write = this.writing.then(() => this._write(stored))
+
+    // Keep the chain going after a failed write
+    this.writing = write.catch(() => {})
+
+    return write.then(() => stored)
+  }
+
+  /**
+   * Store an entry and fold it into its day and client totals
+   *
+   * @private
+   */
+  async _write(entry) {
+    const dayKey = `days/${toDay(entry.timestamp)}`
+    const clientKey = `clients/${entry.clientId}`
+
+    const [day, client] = await Promise.all([
+      this.db.get(dayKey),
+      this.db.get(clientKey)
+    ])
+
+    const batch = this.db.batch()
+
+    await batch.put(`requests/${padTimestamp(entry.timestamp)}/${entry.requestId}`, entry)
+    await batch.put(dayKey, addToTotals(day ? day.value : null, entry))
+    await batch.put(clientKey, addToTotals(client ? client.value : null, entry))
+
+    await batch.flush()
+  }
+
+  /**
+   * Store a verified work receipt
+   *
+   * @param {object} receipt - Receipt that passed verifyReceipt()
+   * @returns {Promise<boolean>} - False if one was already stored for the request
+   */
+  async addReceipt(receipt) {
+    if (!this.isReady) throw new Error('Ledger not initialized')
+
+    const key = `receipts/${receipt.requestId}`
+
+    // Serialized with record() so a duplicate can't slip in between check and put
+    const write = this.writing.then(async () => {
+      if (await this.db.get(key)) {
+        return false
+      }
+
+      await this.db.put(key, receipt)
+      return true
+    })
+
+    this.writing = write.catch(() => {})
+
+    return write
+  }
+
+  /**
+   * Read stored receipts
+   *
+   * @param {object} [query] - Filters
+   * @param {string} [query.clientId] - Only receipts signed by this client
+   * @returns {Promise<object[]>} - Receipts, by requestId
+   */
+  async getReceipts(query = {}) {
+    if (!this.isReady) throw new Error('Ledger not initialized')
+
+    const receipts = []
+
+    for await (const { value } of this.db.createReadStream({
+      gte: 'receipts/',
+      lt: 'receipts/~'
+    })) {
+      if (!query.clientId || value.clientId === query.clientId) {
+        receipts.push(value)
+      }
+    }
+
+    return receipts
+  }
+
+  /**
+   * Read recorded requests, oldest first
+   *
+   * @param {object} [query] - Filters
+   * @param {number|string} [query.from] - Start (timestamp or 'YYYY-MM-DD', inclusive)
+   * @param {number|string} [query.to] - End (timestamp or 'YYYY-MM-DD', inclusive)
+   * @param {string} [query.clientId] - Only this client
+   * @param {number} [query.limit] - Maximum entries
+   * @returns {Promise<object[]>} - Entries
+   */
+  async getEntries(query = {}) {
+    if (!this.isReady) throw new Error('Ledger not initialized')
+
+    const entries = []
+    const limit = query.limit ?? Infinity
+
+    for await (const { value } of this.db.createReadStream({
+      gte: `requests/${padTimestamp(toTimestamp(query.from, 'start'))}`,
+      lt: `requests/${padTimestamp(toTimestamp(query.to, 'end') + 1)}`
+    })) {
+      if (query.clientId && value.clientId !== query.clientId) {
+        continue
+      }
+
+      entries.push(value)
+
+      if (entries.length >= limit) {
+        break
+      }
+    }
+
+    return entries
+  }
+
+  /**
+   * Get totals for each day with recorded requests
+   *
+   * @param {object} [query] - Range
+   * @param {string} [query.from] - First day 'YYYY-MM-DD' (inclusive)
+   * @param {string} [query.to] - Last day 'YYYY-MM-DD' (inclusive)
+   * @returns {Promise<object[]>} - [{ day, requests, completed, failed, cancelled, promptTokens, completionTokens, duration }]
+   */
+  async getDailyTotals(query = {}) {
+    if (!this.isReady) throw new Error('Ledger not initialized')
+
+    const days = []
+
+    for await (const { key, value } of this.db.createReadStream({
+      gte: `days/${query.from || ''}`,
+      lte: `days/${query.to || '~'}`
+    })) {
+      days.push({ day: key.slice('days/'.length), ...value })
+    }
+
+    return days
+  }
+
+  /**
+   * Get totals for each client, most tokens served first
+   *
+   * @returns {Promise<object[]>} - [{ clientId, requests, ..., lastSeen }]
+   */
+  async getClientTotals() {
+    if (!this.isReady) throw new Error('Ledger not initialized')
+
+    const clients = []
+
+    for await (const { key, value } of this.db.createReadStream({
+      gte: 'clients/',
+      lt: 'clients/~'
+    })) {
+      clients.push({ clientId: key.slice('clients/'.length), ...value })
+    }
+
+    return clients.sort((a, b) => b.completionTokens - a.completionTokens)
+  }
+
+  /**
+   * Get totals over the whole ledger
+   *
+   * @returns {Promise<object>} - { requests, completed, failed, cancelled, promptTokens, completionTokens, duration }
+   */
+  async getTotals() {
+    const days = await this.getDailyTotals()
+    const totals = emptyTotals()
+
+    for (const { day, ...dayTotals } of days) {
+      for (const field of Object.keys(totals)) {
+        totals[field] += dayTotals[field] || 0
+      }
+    }
+
+    return totals
+  }
+
+  /**
+   * Export recorded requests
+   *
+   * @param {object} [options] - Export options (plus getEntries() filters)
+   * @param {string} [options.format] - 'json' (default) or 'csv'
+   * @returns {Promise<string>} - Serialized entries
+   */
+  async export(options = {}) {
+    const entries = await this.getEntries(options)
+
+    if (options.format === 'csv') {
+      const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        const value = column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column]
+        return toCsvField(value)
+      }).join(','))
+
+      return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+    }
+
+    return JSON.stringify(entries, null, 2)
+  }
+
+  /**
+   * Close the ledger (waits for pending writes)
+   */
+  async close() {
+    await this.writing
+
+    if (this.db) {
+      await this.db.close()
+    }
+    if (this.core) {
+      await this.core.close()
+    }
+
+    this.isReady = false
+  }
+}
+
+/**
+ * Zeroed totals
+ *
+ * @private
+ */
+function emptyTotals() {
+  return {
+    requests: 0,
+    completed: 0,
+    failed: 0,
+    cancelled: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    duration: 0
+  }
+}
+
+/**
+ * Add one entry to a totals record
+ *
+ * @private
+ */
+function addToTotals(totals, entry) {
+  const next = { ...emptyTotals(), ...totals }
+
+  next.requests++
+  next[entry.outcome]++
+  next.promptTokens += entry.promptTokens
+  next.completionTokens += entry.completionTokens
+  next.duration += entry.duration
+  next.lastSeen = Math.max(next.lastSeen || 0, entry.timestamp)
+
+  return next
+}
+
+/**
+ * UTC day of a timestamp ('YYYY-MM-DD')
+ *
+ * @private
+ */
+function toDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10)
+}
+
+/**
+ * Resolve a range bound to a timestamp
+ *
+ * @private
+ * @param {number|string} [value] - Timestamp or 'YYYY-MM-DD'
+ * @param {string} edge - 'start' or 'end' of the range
+ */
+function toTimestamp(value, edge) {
+  if (value === undefined || value === null) {
+    return edge === 'start' ? 0 : Number.MAX_SAFE_INTEGER - 1
+  }
+
+  if (typeof value === 'number') {
+    return value
+  }
+
+  const start = Date.parse(`${value}T00:00:00.000Z`)
+  if (Number.isNaN(start)) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`)
+  }
+
+  return edge === 'start' ? start : start + 24 * 60 * 60 * 1000 - 1
+}
+
+/**
+ * Fixed-width timestamp so keys sort chronologically
+ *
+ * @private
+ */
+function padTimestamp(timestamp) {
+  return String(timestamp).padStart(16, '0')
+}
+
+/**
+ * Quote a CSV field when needed
+ *
+ * @private
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
@@ -6,27 +6,52 @@
  *
  * Provides the same public API as InferenceEngine for compatibility
  * with existing code.
+ *
+ * The loaded model can be replaced at runtime with swapModel(): a second
+ * llama-server is started and warmed up next to the current one, new
+ * requests switch to it in one step, and the old server is stopped once
+ * the requests still running on it have finished.
+ *
+ * With config.embedding the llama-server runs in embedding mode: embed()
+ * works and the completion methods don't (llama-server refuses them).
+ *
+ * Supervision events of the active llama-server are re-emitted:
+ * crashed, restarting, ready, failed (see LlamaProcessManager).
  */
 
+import EventEmitter from 'bare-events';
 import { LlamaProcessManager } from '../lib/llama-process-manager.js';
 import { LlamaHttpClient } from '../lib/llama-http-client.js';
+import { describeModel } from '../lib/model-info.js';
+
+// How often a swapped-out server is checked for remaining requests
+const DRAIN_CHECK_INTERVAL = 250;
+
+// LlamaProcessManager events forwarded from the active server
+const SUPERVISOR_EVENTS = ['crashed', 'restarting', 'ready', 'failed'];
 
 /**
  * Sidecar-based inference engine
  * Compatible with the original InferenceEngine API
  */
-export class InferenceEngineSidecar {
+export class InferenceEngineSidecar extends EventEmitter {
   /**
    * Create inference engine with sidecar architecture
    *
    * @param {Object} config - Configuration object
    * @param {string} config.modelPath - Path to GGUF model
    * @param {string} config.binaryPath - Path to llama-server binary
-   * @param {number} config.port - HTTP port for llama-server
+   * @param {number} config.port - Preferred HTTP port for llama-server (0 = any free port)
    * @param {number} config.gpuLayers - Number of GPU layers
+   * @param {number} config.parallel - llama-server slots (concurrent requests)
+   * @param {string} config.modelId - Advertised model ID (default: derived from modelPath)
+   * @param {boolean} config.embedding - Serve embeddings (llama-server --embedding)
+   * @param {string} config.pooling - Embedding pooling: mean, cls or last (default: the model's)
    * @param {Object} options - Additional options
    */
   constructor(config, options = {}) {
+    super();
+
     if (!config || !config.modelPath) {
       throw new Error('modelPath is required for InferenceEngineSidecar');
     }
@@ -38,30 +63,44 @@ export class InferenceEngineSidecar {
     this.processManager = new LlamaProcessManager({
       modelPath: config.modelPath,
       binaryPath: config.binaryPath,
-      port: config.port || 8080,
+      port: config.port ?? 8080,
       gpuLayers: config.gpuLayers ?? 33,
       ctxSize: options.contextSize ?? 2048,
       threads: config.threads ?? 4,
+      parallel: config.parallel ?? 4,
+      embedding: config.embedding ?? false,
+      pooling: config.pooling ?? null,
       verbose: config.verbose ?? false
     });
 
+    this._forwardEvents(this.processManager);
+
     this.httpClient = new LlamaHttpClient({
-      port: config.port || 8080,
+      port: config.port ?? 8080,
       timeout: options.timeout || 120000
     });
 
-    // Default inference parameters (compatible with InferenceEngine)
+    // Default inference parameters (compatible with InferenceEngine).
+    // Merged params are passed whole; LlamaHttpClient maps every sampling option.
     this.defaultParams = {
       temperature: options.temperature ?? 0.7,
       topP: options.topP ?? 0.9,
       topK: options.topK ?? 40,
       repeatPenalty: options.repeatPenalty ?? 1.1,
       maxTokens: options.maxTokens ?? 200,
+      seed: options.seed ?? -1, // -1 = random
     };
 
     // Track if we've started the server
     this.started = false;
 
+    // In-flight requests per llama-server, so a swapped-out one can drain
+    this.activeRequests = new Map(); // LlamaHttpClient -> count
+
+    // Swapped-out servers still finishing requests
+    this.draining = new Set(); // LlamaProcessManager
+    this.swapping = false;
+
     // Chat history for persistent chat (emulate chatStream behavior)
     this.chatHistory = [];
   }
@@ -112,13 +151,7 @@ export class InferenceEngineSidecar {
       };
 
       // Call HTTP client
-      const result = await this.httpClient.generate(prompt, {
-        temperature: params.temperature,
-        topP: params.topP,
-        topK: params.topK,
-        maxTokens: params.maxTokens,
-        stop: params.stop || []
-      });
+      const result = await this._withClient(client => client.generate(prompt, params));
 
       const endTime = Date.now();
       const duration = (endTime - startTime) / 1000;
@@ -129,8 +162,11 @@ export class InferenceEngineSidecar {
       return {
         text: result.text,
         tokens: result.tokens,
+        promptTokens: result.promptTokens,
         duration,
         tokensPerSecond,
+        finishReason: result.stopReason,
+        seed: params.seed,
         sessionId: 'http-session', // llama-server manages sessions internally
       };
 
@@ -146,7 +182,7 @@ export class InferenceEngineSidecar {
    * @param {string} prompt - The input prompt
    * @param {Function} onToken - Callback for each generated token
    * @param {Object} options - Inference parameters
-   * @returns {Promise<Object>} Generation metadata
+   * @returns {Promise<Object>} Generated text and metadata
    */
   async generateStream(prompt, onToken, options = {}) {
     await this.ensureStarted();
@@ -170,13 +206,7 @@ export class InferenceEngineSidecar {
       };
 
       // Call HTTP client streaming
-      await this.httpClient.generateStream(prompt, wrappedOnToken, {
-        temperature: params.temperature,
-        topP: params.topP,
-        topK: params.topK,
-        maxTokens: params.maxTokens,
-        stop: params.stop || []
-      });
+      const result = await this._withClient(client => client.generateStream(prompt, wrappedOnToken, params));
 
       const endTime = Date.now();
       const duration = (endTime - startTime) / 1000;
@@ -185,9 +215,13 @@ export class InferenceEngineSidecar {
         : 0;
 
       return {
+        text: result.text,
         tokens: totalTokens,
+        promptTokens: result.promptTokens,
         duration,
         tokensPerSecond,
+        finishReason: result.stopReason,
+        seed: params.seed,
         sessionId: 'http-session',
       };
 
@@ -197,27 +231,84 @@ export class InferenceEngineSidecar {
   }
 
   /**
-   * Generate chat response (streaming) with persistent history
+   * Generate chat response for a full conversation (non-streaming)
+   *
+   * Stateless: the caller supplies every message, so concurrent
+   * conversations never share history.
+   *
+   * @param {Array<{role: string, content: string}>} messages - Conversation
+   * @param {Object} options - Inference parameters
+   * @returns {Promise<Object>} Generated text and metadata
+   */
+  async chat(messages, options = {}) {
+    await this.ensureStarted();
+
+    const startTime = Date.now();
+
+    try {
+      // Merge parameters
+      const params = {
+        ...this.defaultParams,
+        ...options,
+      };
+
+      const result = await this._withClient(client => client.chat(messages, params));
+
+      const endTime = Date.now();
+      const duration = (endTime - startTime) / 1000;
+      const tokens = result.tokens ?? 0;
+      const tokensPerSecond = tokens > 0
+        ? Math.round(tokens / duration)
+        : 0;
+
+      return {
+        text: result.text,
+        tokens,
+        promptTokens: result.promptTokens,
+        duration,
+        tokensPerSecond,
+        finishReason: result.finishReason,
+        seed: params.seed,
+        sessionId: 'chat-session',
+      };
+
+    } catch (error) {
+      throw new Error(`Chat failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate chat response (streaming)
    * Compatible with InferenceEngine.chatStream()
    *
-   * @param {string} userMessage - The user's message
+   * Given a string, the message is appended to this engine's persistent
+   * history (single-user local use). Given a messages array, the
+   * conversation is used as-is and the history is left untouched, which
+   * is what a multi-tenant worker must do.
+   *
+   * @param {string|Array<{role: string, content: string}>} userMessage - User message or full conversation
    * @param {Function} onToken - Callback for each generated text chunk
    * @param {Object} options - Inference parameters
-   * @returns {Promise<Object>} Generation metadata
+   * @returns {Promise<Object>} Generated text and metadata
    */
   async chatStream(userMessage, onToken, options = {}) {
     await this.ensureStarted();
 
     const startTime = Date.now();
+    const stateless = Array.isArray(userMessage);
     let totalTokens = 0;
     let assistantResponse = '';
 
     try {
       // Add user message to history
-      this.chatHistory.push({
-        role: 'user',
-        content: userMessage
-      });
+      if (!stateless) {
+        this.chatHistory.push({
+          role: 'user',
+          content: userMessage
+        });
+      }
+
+      const messages = stateless ? userMessage : this.chatHistory;
 
       // Merge parameters
       const params = {
@@ -235,18 +326,15 @@ export class InferenceEngineSidecar {
       };
 
       // Use chat completions endpoint with history
-      await this.httpClient.chatStream(this.chatHistory, wrappedOnToken, {
-        temperature: params.temperature,
-        topP: params.topP,
-        maxTokens: params.maxTokens,
-        stop: params.stop || []
-      });
+      const result = await this._withClient(client => client.chatStream(messages, wrappedOnToken, params));
 
       // Add assistant response to history
-      this.chatHistory.push({
-        role: 'assistant',
-        content: assistantResponse
-      });
+      if (!stateless) {
+        this.chatHistory.push({
+          role: 'assistant',
+          content: assistantResponse
+        });
+      }
 
       const endTime = Date.now();
       const duration = (endTime - startTime) / 1000;
@@ -255,9 +343,13 @@ export class InferenceEngineSidecar {
         : 0;
 
       return {
+        text: assistantResponse,
         tokens: totalTokens,
+        promptTokens: result.promptTokens,
         duration,
         tokensPerSecond,
+        finishReason: result.finishReason,
+        seed: params.seed,
         sessionId: 'chat-session',
       };
 
@@ -266,6 +358,56 @@ export class InferenceEngineSidecar {
     }
   }
 
+  /**
+   * Embed texts, one vector each
+   *
+   * @param {string[]} texts - Inputs
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { embeddings, dimension, promptTokens, duration }
+   */
+  async embed(texts, options = {}) {
+    await this.ensureStarted();
+
+    if (!this.processManager.config.embedding) {
+      throw new Error('Model is not loaded in embedding mode');
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const result = await this._withClient(client => client.embed(texts, options));
+
+      return {
+        embeddings: result.embeddings,
+        dimension: result.embeddings[0]?.length ?? 0,
+        promptTokens: result.promptTokens ?? 0,
+        duration: (Date.now() - startTime) / 1000,
+      };
+
+    } catch (error) {
+      throw new Error(`Embedding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count the tokens a prompt or conversation takes up in the context
+   *
+   * A conversation is rendered with the model's chat template first, so
+   * the count includes the template's own tokens.
+   *
+   * @param {string|Array<{role: string, content: string}>} input - Prompt or chat messages
+   * @returns {Promise<number>} Token count
+   */
+  async countTokens(input) {
+    await this.ensureStarted();
+
+    return this._withClient(async (client) => {
+      const text = Array.isArray(input) ? await client.applyTemplate(input) : input;
+      const { count } = await client.tokenize(text, { addSpecial: true });
+      return count;
+    });
+  }
+
   /**
    * Reset chat history
    */
@@ -281,6 +423,226 @@ export class InferenceEngineSidecar {
     return this.chatHistory;
   }
 
+  /**
+   * Describe the loaded model from llama-server /props
+   *
+   * @returns {Promise<Object>} { id, file, quantization, contextSize, chatTemplate, slots, embedding }
+   */
+  async getModelInfo() {
+    await this.ensureStarted();
+
+    return this._describe(this.httpClient, this.config, this.processManager.config.ctxSize);
+  }
+
+  /**
+   * Replace the loaded model without dropping requests
+   *
+   * Starts the new model in a second llama-server on a free port and
+   * warms it up. If that fails, the current model keeps serving. Once it
+   * is ready, new requests switch over in one step; requests already
+   * running finish on the old server, which is then stopped.
+   *
+   * @param {Object} config - New model
+   * @param {string} config.modelPath - Path to GGUF model
+   * @param {number} config.port - Preferred port for the new llama-server (default: current)
+   * @param {string} config.modelId - Advertised model ID (default: derived from modelPath)
+   * @param {number} config.contextSize - Context size (default: current)
+   * @param {Object} options - Swap options
+   * @param {number} options.drainTimeout - Max wait for old requests in ms (default: 120000)
+   * @returns {Promise<Object>} { model, drained } - New model info, and a promise that
+   *   resolves once the old server has stopped
+   */
+  async swapModel(config, options = {}) {
+    if (!config || !config.modelPath) {
+      throw new Error('modelPath is required to swap models');
+    }
+
+    if (this.swapping) {
+      throw new Error('Model swap already in progress');
+    }
+
+    await this.ensureStarted();
+    this.swapping = true;
+
+    try {
+      const processManager = new LlamaProcessManager({
+        ...this.processManager.config,
+        modelPath: config.modelPath,
+        port: config.port ?? this.processManager.config.port, // Occupied, so moves to a free port
+        strictPort: false,
+        ctxSize: config.contextSize ?? this.processManager.config.ctxSize
+      });
+
+      this._forwardEvents(processManager);
+
+      let httpClient;
+      let model;
+
+      try {
+        console.log(`🔀 Loading ${config.modelPath} for model swap...`);
+        await processManager.start();
+
+        httpClient = new LlamaHttpClient({
+          port: processManager.config.port,
+          timeout: this.httpClient.config.timeout
+        });
+
+        model = await this._warmUp(httpClient, config, processManager.config.ctxSize);
+      } catch (error) {
+        await processManager.stop();
+        throw new Error(`Model swap failed: ${error.message}`);
+      }
+
+      // Switch: every request from here on uses the new server
+      const previous = this.processManager;
+      const previousClient = this.httpClient;
+
+      this.processManager = processManager;
+      this.httpClient = httpClient;
+      this.config = {
+        ...this.config,
+        modelPath: config.modelPath,
+        modelId: config.modelId,
+        port: processManager.config.port
+      };
+      this.chatHistory = []; // Belongs to the old model's conversation
+
+      console.log(`✅ Switched to ${model.id}`);
+
+      return {
+        model,
+        drained: this._drain(previous, previousClient, options.drainTimeout ?? 120000)
+      };
+
+    } finally {
+      this.swapping = false;
+    }
+  }
+
+  /**
+   * Re-emit a process manager's supervision events while it is the
+   * active server (a draining server's events are not ours to report)
+   *
+   * @private
+   */
+  _forwardEvents(processManager) {
+    // The server may come up on a different port than requested
+    processManager.on('ready', () => {
+      if (processManager === this.processManager) {
+        this.httpClient.setPort(processManager.config.port);
+      }
+    });
+
+    for (const event of SUPERVISOR_EVENTS) {
+      processManager.on(event, (...args) => {
+        if (processManager === this.processManager) {
+          this.emit(event, ...args);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the supervision state of the active llama-server
+   *
+   * @returns {string} 'stopped', 'starting', 'ready', 'crashed', 'restarting' or 'failed'
+   */
+  getState() {
+    return this.processManager.state;
+  }
+
+  /**
+   * Run a request against the current llama-server, counting it as
+   * in flight on that server until it settles
+   *
+   * @private
+   */
+  async _withClient(fn) {
+    const client = this.httpClient;
+    this.activeRequests.set(client, (this.activeRequests.get(client) || 0) + 1);
+
+    try {
+      return await fn(client);
+    } finally {
+      const remaining = this.activeRequests.get(client) - 1;
+      if (remaining > 0) {
+        this.activeRequests.set(client, remaining);
+      } else {
+        this.activeRequests.delete(client);
+      }
+    }
+  }
+
+  /**
+   * Warm up a freshly started llama-server and describe its model
+   *
+   * A one-token completion pages the weights in, so the first real
+   * request after the switch doesn't pay for it.
+   *
+   * @private
+   */
+  async _warmUp(httpClient, config, contextSize) {
+    // Embedding servers are warmed up by the dimension probe in _describe()
+    if (!this.processManager.config.embedding) {
+      await httpClient.generate('Hello', { maxTokens: 1 });
+    }
+
+    return this._describe(httpClient, config, contextSize);
+  }
+
+  /**
+   * Describe the model a llama-server is serving
+   *
+   * In embedding mode one short input is embedded to learn the vector
+   * dimension, which /props does not report.
+   *
+   * @private
+   */
+  async _describe(httpClient, config, contextSize) {
+    const props = await httpClient.getProps();
+    let embedding = null;
+
+    if (this.processManager.config.embedding) {
+      const { embeddings } = await httpClient.embed(['Hello']);
+
+      embedding = {
+        dimension: embeddings[0].length,
+        pooling: this.processManager.config.pooling
+      };
+    }
+
+    return describeModel(config.modelPath, props, {
+      id: config.modelId,
+      contextSize,
+      embedding
+    });
+  }
+
+  /**
+   * Stop a swapped-out llama-server once its requests have finished
+   *
+   * @private
+   */
+  async _drain(processManager, httpClient, timeout) {
+    this.draining.add(processManager);
+
+    const deadline = Date.now() + timeout;
+
+    while (this.activeRequests.has(httpClient) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, DRAIN_CHECK_INTERVAL));
+    }
+
+    if (this.activeRequests.has(httpClient)) {
+      console.log(`⚠️  Drain timeout, stopping old llama-server with ${this.activeRequests.get(httpClient)} request(s) running`);
+    }
+
+    try {
+      await processManager.stop();
+    } finally {
+      this.draining.delete(processManager);
+    }
+  }
+
   /**
    * Get pool statistics (simplified for sidecar)
    * Compatible with InferenceEngine.getStats()
@@ -323,6 +685,11 @@ export class InferenceEngineSidecar {
       this.started = false;
     }
 
+    for (const processManager of this.draining) {
+      await processManager.stop();
+    }
+    this.draining.clear();
+
     this.chatHistory = [];
     console.log('✅ Inference engine disposed');
   }
@@ -5,17 +5,79 @@
  *
  * Components:
  * - InferenceEngineSidecar: LLM inference via llama-server subprocess
+ *   (one per hosted model, each on its own port)
  * - NetworkManager: P2P communication via Hyperswarm
  * - SystemMonitor: Health tracking and load management
+ * - RequestQueue: Bounded admission queue (concurrency = llama-server slots)
+ *   ordered by the configured scheduler (fifo, or priority by client credits)
+ * - Identity: Persistent ed25519 keypair; workerId is its public key and
+ *   every outgoing message is signed with it
+ * - UsageLedger: Persistent record of every request served (Hyperbee in
+ *   Pear storage; config.ledgerPath = null disables it)
+ *
+ * Engine supervision:
+ *   Each llama-server is supervised (watchdog + restart with backoff).
+ *   While any engine is crashed or restarting the worker advertises
+ *   canAcceptRequests: false, and requests running on a crashed engine
+ *   fail with the retryable ENGINE_CRASHED code so clients fail over.
+ *
+ * Embeddings:
+ *   Models configured with embedding: true run llama-server in embedding
+ *   mode and serve `embed` requests only; their status entry carries
+ *   embedding: { dimension, pooling }. Prompt and chat requests are
+ *   routed to the other models.
+ *
+ * Context preflight:
+ *   Prompts and conversations are tokenized before they are queued. If
+ *   the prompt plus maxTokens does not fit the model's context, the
+ *   request is rejected with code context_overflow and details
+ *   { promptTokens, maxTokens, contextSize } instead of failing inside
+ *   llama-server.
+ *
+ * Model swaps:
+ *   swapModel() (or a `swap_model` admin message signed by the owner key)
+ *   loads a new GGUF in a second llama-server on a spare port and switches
+ *   to it once warm. Requests running on the old model finish first.
+ *
+ * Scheduling:
+ *   Every request carries its sender's identity: the public key the peer
+ *   connected with, which the Noise handshake authenticates. With
+ *   config.scheduler = 'priority' waiting requests are ordered by that
+ *   client's credits (config.getCredits(clientId), or the config.credits
+ *   map), highest first and FIFO within the same credits.
+ *
+ * Receipts:
+ *   After a completed request the client signs a receipt over the token
+ *   counts and a hash of the result. Receipts that verify against the
+ *   client's key and match what this worker sent are stored in the usage
+ *   ledger; getVerifiedScore() is computed from them alone.
+ *
+ * Encryption:
+ *   Requests may arrive as `sealed` envelopes encrypted to this worker's
+ *   key with a per-request ephemeral key. They are decrypted here only,
+ *   and every reply for that request is sealed back to the ephemeral key.
  *
  * Message Types Handled:
- * - prompt: Inference request from client
+ * - prompt: Inference request from client (stream: true for token streaming)
+ * - chat: Chat completion request with a messages array (same streaming flag)
+ * - embed: Embedding request for a batch of texts
+ * - tokenize: Count the tokens of a text or conversation (not queued)
+ * - cancel: Stop a queued or running request (from the peer that sent it)
+ * - sealed: Encrypted prompt or chat request
+ * - admin: Operator command signed by config.ownerKey (swap_model)
+ * - receipt: Client-signed proof that a request was served
  * - status_request: Health status query
  *
  * Message Types Sent:
- * - status: Worker availability broadcast
+ * - status: Worker availability broadcast (constrained: serves grammar / jsonSchema requests)
+ * - queued: Request accepted into the backlog, with its queue position
  * - inference_result: Inference response
+ * - embedding_result: Embedding vectors, in input order
+ * - tokenize_result: Token count and the model's context size
+ * - inference_chunk: Streamed token (prompt requests with stream: true)
+ * - inference_done: End of a streamed response, with stats
  * - inference_error: Inference failure
+ * - admin_result: Outcome of an admin command
  *
  * Usage:
  *   const worker = new WorkerNode({
@@ -24,6 +86,19 @@
  *     port: 8080
  *   })
  *
+ *   // Or host several models (ports default to port, port + 1, ...)
+ *   const worker = new WorkerNode({
+ *     binaryPath: '/path/to/llama-server',
+ *     port: 8080,
+ *     models: [
+ *       { modelPath: './models/tinyllama-1.1b-chat-v1.0.Q4_K_M.gguf' },
+ *       { modelPath: './models/Llama-3.2-3B-Instruct-Q4_K_M.gguf', id: 'llama-3.2-3b' }
+ *     ]
+ *   })
+ *
+ *   // Or from qmesh-worker.json, QMESH_* env vars and flags
+ *   const worker = new WorkerNode(await loadWorkerConfig())
+ *
  *   await worker.start()
  *   // Worker now accepts P2P requests
  */
@@ -32,8 +107,38 @@ import EventEmitter from 'bare-events'
 import { InferenceEngineSidecar } from './inference-engine-sidecar.js'
 import { NetworkManager } from '../lib/network-manager.js'
 import { SystemMonitor } from '../lib/system-monitor.js'
-import crypto from 'bare-crypto'
+import { RequestQueue } from '../lib/request-queue.js'
+import { createScheduler, getCreditTier } from '../lib/scheduler.js'
+import { Identity } from '../lib/identity.js'
+import { UsageLedger } from '../lib/usage-ledger.js'
+import { getWorkerDefaults, validateWorkerConfig } from '../config/worker-config.js'
 import b4a from 'b4a'
+import { modelMatches, deriveModelId } from '../lib/model-info.js'
+import { validateMessage } from '../lib/protocol.js'
+import { toCurveSecretKey, seal, open } from '../lib/sealed-box.js'
+import { hashResult, verifyReceipt, scoreReceipts } from '../lib/receipt.js'
+import { MAX_SEED, DEFAULT_SAMPLING_POLICY, validateSamplingOptions, clampSamplingOptions, isConstrained } from '../lib/sampling.js'
+
+// Roles accepted in chat request messages
+const CHAT_ROLES = ['system', 'user', 'assistant']
+
+// Features advertised in the hello handshake (see _getCapabilities())
+const WORKER_CAPABILITIES = ['prompt', 'chat', 'stream', 'cancel', 'tokenize', 'signed', 'e2e']
+
+// Request types that may arrive inside a sealed envelope
+const SEALABLE_TYPES = ['prompt', 'chat', 'embed', 'tokenize']
+
+// Replies that end a request
+const TERMINAL_TYPES = ['inference_result', 'inference_done', 'embedding_result', 'tokenize_result', 'inference_error']
+
+// Most texts accepted in one embed request
+const MAX_EMBED_TEXTS = 256
+
+// How long a client has to send the receipt for a completed request
+const RECEIPT_TIMEOUT = 5 * 60 * 1000
+
+// Commands accepted in owner-signed admin messages
+const ADMIN_COMMANDS = ['swap_model']
 
 /**
  * WorkerNode - Distributed LLM inference worker
@@ -42,55 +147,45 @@ export class WorkerNode extends EventEmitter {
   constructor(options = {}) {
     super()
 
-    // Worker configuration
-    this.config = {
-      // Inference engine config
-      modelPath: options.modelPath,
-      binaryPath: options.binaryPath,
-      port: options.port || 8080,
-      gpuLayers: options.gpuLayers !== undefined ? options.gpuLayers : 0,
-      threads: options.threads || 4,
-      verbose: options.verbose || false,
-
-      // Network config
-      networkTopic: options.networkTopic || 'qmesh-inference',
+    // Worker configuration (options are documented in src/config/worker-config.js)
+    const values = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    this.config = { ...getWorkerDefaults(values), ...values }
 
-      // Queue config
-      queueCapacity: options.queueCapacity || 10,
+    validateWorkerConfig(this.config)
 
-      // Health broadcast interval
-      statusBroadcastInterval: options.statusBroadcastInterval || 10000, // 10 seconds
-
-      // Inference defaults
-      temperature: options.temperature || 0.7,
-      maxTokens: options.maxTokens || 200,
-
-      ...options
-    }
+    // Limits request sampling options are clamped to
+    this.samplingPolicy = { ...DEFAULT_SAMPLING_POLICY, ...this.config.samplingPolicy }
 
     // Subsystems
-    this.engine = null
+    this.engine = null         // Default engine (first model)
+    this.engines = new Map()   // modelId -> InferenceEngineSidecar
+    this.models = []           // Advertised model descriptions
     this.network = null
     this.monitor = null
+    this.queue = null
+    this.ledger = null
+
+    // Running requests: requestId -> { peerId, controller, tokensSent }
+    this.inflight = new Map()
+
+    // Encrypted requests: requestId -> { peerId, clientKey }
+    this.sealedRequests = new Map()
+
+    // Recently seen admin requests (replay protection): requestId -> timestamp
+    this.adminSeen = new Map()
+
+    // Completed requests awaiting a receipt: requestId -> { clientId, resultHash, ..., expiresAt }
+    this.awaitingReceipts = new Map()
 
     // Worker state
-    this.workerId = this._generateWorkerId()
+    this.identity = null
+    this.curveSecretKey = null // X25519 key for sealed requests
+    this.workerId = null // Hex public key, set when the identity loads
     this.topicKey = null
     this.statusBroadcastTimer = null
     this.isRunning = false
   }
 
-  /**
-   * Generate a unique worker ID
-   *
-   * @private
-   * @returns {string} - Worker ID (hex string)
-   */
-  _generateWorkerId() {
-    const random = crypto.randomBytes(16)
-    return b4a.toString(random, 'hex')
-  }
-
   /**
    * Start the worker node
    *
@@ -102,26 +197,69 @@ export class WorkerNode extends EventEmitter {
     }
 
     try {
-      // Step 1: Initialize inference engine
+      // Step 0: Load persistent identity
+      this.identity = await Identity.load(this.config.identityPath)
+      this.workerId = this.identity.id
+      this.curveSecretKey = toCurveSecretKey(this.identity.keyPair.secretKey)
+
+      // Usage ledger survives restarts, so it opens before anything is served
+      if (this.config.ledgerPath) {
+        this.ledger = new UsageLedger({ storagePath: this.config.ledgerPath })
+
+        try {
+          await this.ledger.init()
+        } catch (error) {
+          // Usually another worker on this host holds the same ledger
+          throw new Error(`Cannot open usage ledger ${this.config.ledgerPath} (${error.message}); give each worker on this host its own --port, or its own --identity and --ledger`)
+        }
+      }
+
+      // Step 1: Initialize inference engines (one llama-server per model)
       this.emit('starting', { step: 'inference-engine' })
 
-      this.engine = new InferenceEngineSidecar(
-        {
-          modelPath: this.config.modelPath,
-          binaryPath: this.config.binaryPath,
-          port: this.config.port,
-          gpuLayers: this.config.gpuLayers,
-          threads: this.config.threads,
-          verbose: this.config.verbose
-        },
-        {
-          temperature: this.config.temperature,
-          maxTokens: this.config.maxTokens
+      for (const spec of this._getModelSpecs()) {
+        const engine = new InferenceEngineSidecar(
+          {
+            modelPath: spec.modelPath,
+            modelId: spec.id,
+            binaryPath: this.config.binaryPath,
+            port: spec.port,
+            gpuLayers: this.config.gpuLayers,
+            threads: this.config.threads,
+            parallel: this.config.concurrency,
+            embedding: spec.embedding,
+            pooling: spec.pooling,
+            verbose: this.config.verbose
+          },
+          {
+            contextSize: spec.contextSize,
+            temperature: this.config.temperature,
+            maxTokens: this.config.maxTokens
+          }
+        )
+
+        let model
+
+        try {
+          await engine.start()
+          model = await engine.getModelInfo()
+
+          if (this.engines.has(model.id)) {
+            throw new Error(`Duplicate model id: ${model.id}`)
+          }
+        } catch (error) {
+          await engine.dispose()
+          throw error
         }
-      )
 
-      await this.engine.start()
-      this.emit('started', { subsystem: 'inference-engine' })
+        this.engines.set(model.id, engine)
+        this.models.push(model)
+        this.engine = this.engine || engine
+        this._superviseEngine(engine)
+        this.emit('model-loaded', model)
+      }
+
+      this.emit('started', { subsystem: 'inference-engine', models: this.models })
 
       // Step 2: Initialize system monitor
       this.emit('starting', { step: 'system-monitor' })
@@ -131,12 +269,33 @@ export class WorkerNode extends EventEmitter {
       })
 
       this.monitor.startMonitoring(5000) // Update every 5 seconds
+
+      this.queue = new RequestQueue({
+        concurrency: this.config.concurrency,
+        capacity: this.config.queueCapacity,
+        scheduler: createScheduler(this.config.scheduler)
+      })
+
+      // Health reflects how full the backlog is
+      this.queue.on('changed', ({ waiting }) => {
+        this.monitor.setQueueSize(waiting)
+      })
+
+      this.queue.on('job-error', (requestId, error) => {
+        this.emit('error', new Error(`Request ${requestId} failed unexpectedly: ${error.message}`))
+      })
+
       this.emit('started', { subsystem: 'system-monitor' })
 
       // Step 3: Initialize network manager
       this.emit('starting', { step: 'network-manager' })
 
-      this.network = new NetworkManager()
+      // Same keypair for the swarm, so the connection key proves the workerId
+      this.network = new NetworkManager({
+        keyPair: this.identity.keyPair,
+        role: 'worker',
+        capabilities: this._getCapabilities()
+      })
 
       // Set up network event handlers
       this.network.on('peer-connected', (peerId, conn, info) => {
@@ -144,6 +303,7 @@ export class WorkerNode extends EventEmitter {
       })
 
       this.network.on('peer-disconnected', (peerId) => {
+        this._cancelPeerRequests(peerId)
         this.emit('peer-disconnected', peerId)
       })
 
@@ -174,8 +334,9 @@ export class WorkerNode extends EventEmitter {
       })
 
     } catch (error) {
-      // Cleanup on failure
-      await this.stop()
+      // Not running yet, so stop() would skip cleanup; release what started
+      await this._shutdownSubsystems()
+      await this._closeLedger()
       throw error
     }
   }
@@ -199,7 +360,98 @@ export class WorkerNode extends EventEmitter {
       this.statusBroadcastTimer = null
     }
 
-    // Shutdown subsystems
+    // Fail requests that never got a slot
+    if (this.queue) {
+      for (const job of this.queue.clear()) {
+        this._sendError(job.peerId, job.requestId, 'Worker shutting down')
+      }
+    }
+
+    this.sealedRequests.clear()
+    this.awaitingReceipts.clear()
+
+    await this._shutdownSubsystems()
+
+    // Closing waits for usage of the requests that just ended
+    await this._closeLedger()
+
+    this.emit('stopped')
+  }
+
+  /**
+   * Replace a hosted model without dropping requests
+   *
+   * The new model is started on a spare port and warmed up while the
+   * current one keeps serving. The switch and the updated status
+   * broadcast happen together; requests already running finish on the
+   * old llama-server before it is stopped.
+   *
+   * @param {object} spec - New model: { modelPath, id?, contextSize?, port? }
+   * @param {object} [options] - Swap options
+   * @param {string} [options.target] - Hosted model to replace (default: first model)
+   * @param {number} [options.drainTimeout] - Max wait for running requests in ms
+   * @returns {Promise<object>} - { model, drained } - New model description, and a
+   *   promise that resolves once the old llama-server has stopped
+   */
+  async swapModel(spec, options = {}) {
+    if (!this.isRunning) {
+      throw new Error('Worker not running')
+    }
+
+    if (!spec || !spec.modelPath) {
+      throw new Error('modelPath is required to swap models')
+    }
+
+    const current = options.target
+      ? this.models.find(info => modelMatches(info, options.target))
+      : this.models[0]
+
+    if (!current) {
+      throw new Error(`Model not hosted on this worker: ${options.target}`)
+    }
+
+    const newId = spec.id || deriveModelId(spec.modelPath)
+    if (newId !== current.id && this.engines.has(newId)) {
+      throw new Error(`Duplicate model id: ${newId}`)
+    }
+
+    const engine = this.engines.get(current.id)
+    this.emit('model-swapping', current, spec)
+
+    const { model, drained } = await engine.swapModel({
+      modelPath: spec.modelPath,
+      modelId: spec.id,
+      contextSize: spec.contextSize,
+      port: spec.port
+    }, {
+      drainTimeout: options.drainTimeout
+    })
+
+    // Route by the new model from now on
+    this.engines.delete(current.id)
+    this.engines.set(model.id, engine)
+    this.models = this.models.map(info => info === current ? model : info)
+
+    // The new model may add or drop capabilities (e.g. embed)
+    this.network.setCapabilities(this._getCapabilities())
+    this._broadcastStatus()
+    this.emit('model-swapped', current, model)
+
+    drained
+      .then(() => this.emit('model-drained', current))
+      .catch(error => this.emit('error', new Error(`Failed to stop old model ${current.id}: ${error.message}`)))
+
+    return { model, drained }
+  }
+
+  /**
+   * Shut down whichever of network, monitor and engines are up
+   *
+   * Safe to call on a partially started worker.
+   *
+   * @private
+   */
+  async _shutdownSubsystems() {
     if (this.network) {
       await this.network.destroy()
       this.network = null
@@ -210,12 +462,185 @@ export class WorkerNode extends EventEmitter {
       this.monitor = null
     }
 
-    if (this.engine) {
-      await this.engine.dispose()
-      this.engine = null
+    this.queue = null
+
+    for (const engine of this.engines.values()) {
+      await engine.dispose()
     }
 
-    this.emit('stopped')
+    this.engine = null
+    this.engines.clear()
+    this.models = []
+  }
+
+  /**
+   * Close the usage ledger, releasing its storage lock
+   *
+   * @private
+   */
+  async _closeLedger() {
+    if (this.ledger) {
+      await this.ledger.close()
+      this.ledger = null
+    }
+  }
+
+  /**
+   * React to an engine's llama-server crashing and coming back
+   *
+   * @private
+   */
+  _superviseEngine(engine) {
+    engine.on('crashed', (details) => {
+      const modelId = this._getModelIdOf(engine)
+
+      this._failEngineRequests(engine)
+      this._broadcastStatus()
+      this.emit('engine-crashed', modelId, details)
+    })
+
+    engine.on('restarting', (details) => {
+      this.emit('engine-restarting', this._getModelIdOf(engine), details)
+    })
+
+    engine.on('ready', () => {
+      this._broadcastStatus()
+      this.emit('engine-ready', this._getModelIdOf(engine))
+    })
+
+    engine.on('failed', (error) => {
+      this._broadcastStatus()
+      this.emit('error', new Error(`Model ${this._getModelIdOf(engine)} is down: ${error.message}`))
+    })
+  }
+
+  /**
+   * Fail every request running on a crashed engine
+   *
+   * The requests are aborted and answered with a retryable
+   * ENGINE_CRASHED error (see _executeInference).
+   *
+   * @private
+   */
+  _failEngineRequests(engine) {
+    for (const running of this.inflight.values()) {
+      if (running.engine === engine) {
+        running.failure = 'ENGINE_CRASHED'
+        running.controller.abort()
+      }
+    }
+  }
+
+  /**
+   * Find which model an engine currently serves
+   *
+   * @private
+   * @returns {string|null} - Model ID
+   */
+  _getModelIdOf(engine) {
+    for (const [modelId, candidate] of this.engines) {
+      if (candidate === engine) {
+        return modelId
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Summarize the supervision state of all engines
+   *
+   * @private
+   * @returns {string} - 'ready', 'restarting' (any engine down) or 'failed' (any engine gave up)
+   */
+  _getEngineState() {
+    const states = Array.from(this.engines.values(), engine => engine.getState())
+
+    if (states.includes('failed')) {
+      return 'failed'
+    }
+
+    return states.every(state => state === 'ready') ? 'ready' : 'restarting'
+  }
+
+  /**
+   * Features to advertise in the hello handshake
+   *
+   * 'embed' only with an embedding model loaded, 'admin' only with an
+   * owner key to check commands against.
+   *
+   * @private
+   * @returns {string[]} - Capability names
+   */
+  _getCapabilities() {
+    const capabilities = [...WORKER_CAPABILITIES]
+
+    if (this.models.some(model => model.embedding)) {
+      capabilities.push('embed')
+    }
+
+    if (this.config.ownerKey) {
+      capabilities.push('admin')
+    }
+
+    return capabilities
+  }
+
+  /**
+   * Build the list of models to host
+   *
+   * Uses config.models when given, otherwise the single config.modelPath.
+   * Models without an explicit port prefer config.port + their index;
+   * occupied ports are skipped when llama-server starts.
+   *
+   * @private
+   * @returns {object[]} - [{ modelPath, id, port, contextSize }]
+   */
+  _getModelSpecs() {
+    const models = this.config.models || [{
+      modelPath: this.config.modelPath,
+      embedding: this.config.embedding,
+      pooling: this.config.pooling
+    }]
+
+    if (models.length === 0) {
+      throw new Error('At least one model is required')
+    }
+
+    return models.map((model, index) => {
+      if (!model.modelPath) {
+        throw new Error(`Model ${index} is missing modelPath`)
+      }
+
+      return {
+        modelPath: model.modelPath,
+        id: model.id,
+        port: model.port ?? (this.config.port && this.config.port + index),
+        contextSize: model.contextSize,
+        embedding: model.embedding ?? false,
+        pooling: model.pooling ?? null
+      }
+    })
+  }
+
+  /**
+   * Find the engine serving a requested model
+   *
+   * @private
+   * @param {string} [model] - Requested model name (first suitable model if omitted)
+   * @param {boolean} [embedding] - Look among embedding models instead of generative ones
+   * @returns {object|null} - { engine, model } or null if not hosted
+   */
+  _resolveEngine(model, embedding = false) {
+    const info = this.models.find(candidate =>
+      Boolean(candidate.embedding) === embedding && (!model || modelMatches(candidate, model))
+    )
+
+    if (!info) {
+      return null
+    }
+
+    return { engine: this.engines.get(info.id), model: info }
   }
 
   /**
@@ -243,31 +668,48 @@ export class WorkerNode extends EventEmitter {
       return
     }
 
-    const health = this.monitor.getHealth()
-
     const statusMessage = {
       type: 'status',
       workerId: this.workerId,
       timestamp: Date.now(),
-      health: {
-        score: health.score,
-        state: health.state,
-        cpu: health.cpu,
-        memory: health.memory,
-        queueSize: health.queue.size,
-        queueCapacity: health.queue.capacity,
-        canAcceptRequests: health.canAcceptRequests
-      }
+      health: this._getHealthSummary(),
+      models: this.models,
+      constrained: this.config.constrainedDecoding
     }
 
     try {
-      this.network.broadcast(statusMessage, this.topicKey)
+      this.network.broadcast(this.identity.sign(statusMessage), this.topicKey)
       this.emit('status-broadcast', statusMessage)
     } catch (error) {
       this.emit('error', new Error(`Status broadcast failed: ${error.message}`))
     }
   }
 
+  /**
+   * Build the health section of status messages
+   *
+   * @private
+   * @returns {object} - Health summary
+   */
+  _getHealthSummary() {
+    const health = this.monitor.getHealth()
+    const queue = this.queue.getStats()
+
+    return {
+      score: health.score,
+      state: health.state,
+      cpu: health.cpu,
+      memory: health.memory,
+      queueSize: queue.waiting,
+      queueCapacity: queue.capacity,
+      activeRequests: queue.active,
+      concurrency: queue.concurrency,
+      engine: this._getEngineState(),
+      canAcceptRequests: health.canAcceptRequests && !this.queue.isFull() &&
+        this._getEngineState() === 'ready'
+    }
+  }
+
   /**
    * Handle incoming P2P message
    *
@@ -281,6 +723,38 @@ export class WorkerNode extends EventEmitter {
         await this._handlePromptRequest(peerId, message)
         break
 
+      case 'chat':
+        await this._handleChatRequest(peerId, message)
+        break
+
+      case 'embed':
+        await this._handleEmbedRequest(peerId, message)
+        break
+
+      case 'tokenize':
+        await this._handleTokenizeRequest(peerId, message)
+        break
+
+      case 'cancel':
+        this._handleCancel(peerId, message)
+        break
+
+      case 'sealed':
+        await this._handleSealed(peerId, message)
+        break
+
+      case 'admin':
+        await this._handleAdmin(peerId, message)
+        break
+
+      case 'receipt':
+        await this._handleReceipt(peerId, message)
+        break
+
+      case 'protocol_error':
+        this.emit('protocol-error', peerId, message)
+        break
+
       case 'status_request':
         this._handleStatusRequest(peerId, message)
         break
@@ -291,123 +765,957 @@ export class WorkerNode extends EventEmitter {
   }
 
   /**
-   * Handle inference request
+   * Handle an encrypted request envelope
+   *
+   * The decrypted message must be a prompt, chat, embed or tokenize request with the same
+   * requestId as the envelope. Replies for it are sealed by _send().
    *
    * @private
    */
-  async _handlePromptRequest(peerId, message) {
-    const { prompt, requestId, options = {} } = message
+  async _handleSealed(peerId, message) {
+    const { requestId, workerId, ephemeralKey } = message
 
-    if (!prompt) {
-      this._sendError(peerId, requestId, 'Missing prompt in request')
+    if (workerId !== this.workerId || !ephemeralKey) {
+      this._sendError(peerId, requestId, 'Sealed request is not addressed to this worker', false)
       return
     }
 
-    // Check if we can accept requests
-    if (!this.monitor.canAcceptRequests()) {
-      this._sendError(peerId, requestId, 'Worker overloaded, rejecting request')
-      this.emit('request-rejected', peerId, requestId, 'overloaded')
+    const clientKey = b4a.from(ephemeralKey, 'hex')
+    const inner = open(message, clientKey, this.curveSecretKey)
+
+    if (!inner || validateMessage(inner) || !SEALABLE_TYPES.includes(inner.type) || inner.requestId !== requestId) {
+      this._sendError(peerId, requestId, 'Could not decrypt sealed request', false)
+      this.emit('request-rejected', peerId, requestId, 'bad-envelope')
       return
     }
 
-    this.emit('request-accepted', peerId, requestId, prompt)
-
-    // Increment queue
-    this.monitor.incrementQueue()
+    this.sealedRequests.set(requestId, { peerId, clientKey })
+    await this._handleMessage(peerId, inner)
+  }
 
-    try {
-      const startTime = Date.now()
+  /**
+   * Handle an owner-signed admin command
+   *
+   * @private
+   */
+  async _handleAdmin(peerId, message) {
+    const { requestId, command, params = {} } = message
 
-      // Perform inference
-      const result = await this.engine.generate(prompt, {
-        maxTokens: options.maxTokens || this.config.maxTokens,
-        temperature: options.temperature || this.config.temperature
-      })
+    const reason = this._checkAdminMessage(message)
+    if (reason) {
+      this._sendAdminResult(peerId, requestId, { error: reason })
+      this.emit('admin-rejected', peerId, command, reason)
+      return
+    }
 
-      const duration = Date.now() - startTime
+    this.emit('admin-command', peerId, command, params)
 
-      // Send result back to client
-      const response = {
-        type: 'inference_result',
-        requestId,
-        workerId: this.workerId,
-        result: {
-          text: result.text,
-          tokens: result.tokens,
-          duration,
-          tokensPerSecond: result.tokensPerSecond
-        },
-        timestamp: Date.now()
+    try {
+      switch (command) {
+        case 'swap_model': {
+          const { model } = await this.swapModel(params, {
+            target: params.target,
+            drainTimeout: params.drainTimeout
+          })
+          this._sendAdminResult(peerId, requestId, { result: { model } })
+          break
+        }
       }
-
-      this.network.sendMessage(peerId, response)
-
-      this.emit('request-completed', peerId, requestId, {
-        tokens: result.tokens,
-        duration
-      })
-
     } catch (error) {
-      this._sendError(peerId, requestId, error.message)
-      this.emit('request-failed', peerId, requestId, error)
-
-    } finally {
-      // Decrement queue
-      this.monitor.decrementQueue()
+      this._sendAdminResult(peerId, requestId, { error: error.message })
     }
   }
 
   /**
-   * Handle status request
+   * Check that an admin message is authorized, fresh and not a replay
    *
    * @private
+   * @returns {string|null} - Rejection reason, or null if accepted
    */
-  _handleStatusRequest(peerId, message) {
-    const { requestId } = message
+  _checkAdminMessage(message) {
+    if (!this.config.ownerKey) {
+      return 'Admin commands are disabled on this worker'
+    }
 
-    const health = this.monitor.getHealth()
+    if (!Identity.verify(message, this.config.ownerKey)) {
+      return 'Admin message is not signed by the owner key'
+    }
 
-    const response = {
-      type: 'status_response',
-      requestId,
-      workerId: this.workerId,
-      health: {
-        score: health.score,
-        state: health.state,
-        cpu: health.cpu,
-        memory: health.memory,
-        queueSize: health.queue.size,
-        queueCapacity: health.queue.capacity,
-        canAcceptRequests: health.canAcceptRequests
-      },
-      timestamp: Date.now()
+    const now = Date.now()
+
+    for (const [requestId, timestamp] of this.adminSeen) {
+      if (now - timestamp > this.config.adminMaxAge) {
+        this.adminSeen.delete(requestId)
+      }
     }
 
-    this.network.sendMessage(peerId, response)
-    this.emit('status-sent', peerId, requestId)
-  }
+    if (Math.abs(now - message.timestamp) > this.config.adminMaxAge) {
+      return 'Admin message expired'
+    }
 
-  /**
-   * Send error response to peer
-   *
-   * @private
+    if (this.adminSeen.has(message.requestId)) {
+      return 'Admin message already processed'
+    }
+
+    this.adminSeen.set(message.requestId, message.timestamp)
+
+    if (!ADMIN_COMMANDS.includes(message.command)) {
+      return `Unknown admin command: ${message.command}`
+    }
+
+    return null
+  }
+
+  /**
+   * Reply to an admin command
+   *
+   * @private
+   * @param {object} outcome - { result } on success or { error } on failure
+   */
+  _sendAdminResult(peerId, requestId, outcome) {
+    try {
+      this._send(peerId, {
+        type: 'admin_result',
+        requestId,
+        workerId: this.workerId,
+        ok: !outcome.error,
+        ...outcome,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this.emit('error', new Error(`Failed to send admin result: ${error.message}`))
+    }
+  }
+
+  /**
+   * Handle inference request
+   *
+   * @private
+   */
+  async _handlePromptRequest(peerId, message) {
+    const { prompt, requestId } = message
+
+    if (!prompt) {
+      this._sendError(peerId, requestId, 'Missing prompt in request', false)
+      return
+    }
+
+    const target = this._resolveModel(peerId, message)
+    if (!target) return
+
+    const { engine } = target
+
+    await this._runInference(peerId, message, prompt, {
+      engine,
+      model: target.model,
+      generate: (params) => engine.generate(prompt, params),
+      generateStream: (onToken, params) => engine.generateStream(prompt, onToken, params)
+    })
+  }
+
+  /**
+   * Handle chat completion request
+   *
+   * The client sends the whole conversation, so the model's own chat
+   * template is applied on the worker and no history is kept between
+   * requests from different peers.
+   *
+   * @private
+   */
+  async _handleChatRequest(peerId, message) {
+    const { messages, requestId } = message
+
+    const validationError = this._validateChatMessages(messages)
+    if (validationError) {
+      this._sendError(peerId, requestId, validationError, false)
+      return
+    }
+
+    const target = this._resolveModel(peerId, message)
+    if (!target) return
+
+    const { engine } = target
+
+    await this._runInference(peerId, message, messages, {
+      engine,
+      model: target.model,
+      generate: (params) => engine.chat(messages, params),
+      generateStream: (onToken, params) => engine.chatStream(messages, onToken, params)
+    })
+  }
+
+  /**
+   * Handle embedding request
+   *
+   * @private
+   */
+  async _handleEmbedRequest(peerId, message) {
+    const { texts, requestId } = message
+
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string' || text.length === 0)) {
+      this._sendError(peerId, requestId, 'texts must be a non-empty array of non-empty strings', false)
+      return
+    }
+
+    if (texts.length > MAX_EMBED_TEXTS) {
+      this._sendError(peerId, requestId, `Too many texts in one embed request (max ${MAX_EMBED_TEXTS})`, false)
+      return
+    }
+
+    const target = this._resolveModel(peerId, message, true)
+    if (!target) return
+
+    await this._admitRequest(peerId, message, texts, target.engine,
+      (clientId) => this._executeEmbedding(peerId, message, target, clientId))
+  }
+
+  /**
+   * Handle token count request
+   *
+   * Answered right away instead of queued: tokenizing is cheap and lets
+   * clients budget before they send the real request.
+   *
+   * @private
+   */
+  async _handleTokenizeRequest(peerId, message) {
+    const { requestId, text, messages } = message
+
+    const input = typeof text === 'string' ? text : messages
+    const problem = typeof text === 'string' ? null : this._validateChatMessages(messages)
+
+    if (problem) {
+      this._sendError(peerId, requestId, `Tokenize request needs text or valid messages: ${problem}`, false)
+      return
+    }
+
+    const target = this._resolveModel(peerId, message)
+    if (!target) return
+
+    if (target.engine.getState() !== 'ready') {
+      this._sendError(peerId, requestId, 'Inference engine unavailable', true, 'ENGINE_UNAVAILABLE')
+      return
+    }
+
+    try {
+      const tokens = await target.engine.countTokens(input)
+
+      this._send(peerId, {
+        type: 'tokenize_result',
+        requestId,
+        workerId: this.workerId,
+        result: {
+          tokens,
+          contextSize: target.model.contextSize,
+          model: target.model.id
+        },
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this._sendError(peerId, requestId, error.message)
+    }
+  }
+
+  /**
+   * Resolve the engine for a request, replying with an error if the
+   * requested model is not hosted here
+   *
+   * @private
+   * @param {boolean} [embedding] - Request needs an embedding model
+   * @returns {object|null} - { engine, model } or null
+   */
+  _resolveModel(peerId, message, embedding = false) {
+    const target = this._resolveEngine(message.model, embedding)
+
+    if (!target) {
+      const wanted = message.model || (embedding ? 'an embedding model' : 'a generative model')
+      this._sendError(peerId, message.requestId, `Model not available on this worker: ${wanted}`)
+      this.emit('request-rejected', peerId, message.requestId, 'model-unavailable')
+    }
+
+    return target
+  }
+
+  /**
+   * Validate a chat messages array
+   *
+   * @private
+   * @returns {string|null} - Error message or null if valid
+   */
+  _validateChatMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return 'Missing messages in chat request'
+    }
+
+    for (const entry of messages) {
+      if (!entry || !CHAT_ROLES.includes(entry.role)) {
+        return `Invalid chat message role: ${entry && entry.role}`
+      }
+
+      if (typeof entry.content !== 'string') {
+        return `Invalid chat message content for role ${entry.role}`
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Check an inference request's options and admit it into the queue
+   *
+   * Shared by prompt and chat requests.
+   *
+   * @private
+   * @param {string} peerId - Requesting peer
+   * @param {object} message - Request message
+   * @param {string|object[]} input - Prompt or chat messages (for events)
+   * @param {object} run - { engine, model, generate(params), generateStream(onToken, params) }
+   */
+  async _runInference(peerId, message, input, run) {
+    const { requestId } = message
+
+    const invalid = validateSamplingOptions(message.options)
+    if (invalid) {
+      this._sendError(peerId, requestId, invalid, false)
+      this.emit('request-rejected', peerId, requestId, 'invalid-options')
+      return
+    }
+
+    // Retryable: another worker may serve it
+    if (isConstrained(message.options) && !this.config.constrainedDecoding) {
+      this._sendError(peerId, requestId, 'Constrained decoding (grammar / jsonSchema) not supported', true, 'UNSUPPORTED')
+      this.emit('request-rejected', peerId, requestId, 'unsupported-options')
+      return
+    }
+
+    if (await this._overflowsContext(peerId, message, input, run)) {
+      return
+    }
+
+    await this._admitRequest(peerId, message, input, run.engine,
+      (clientId) => this._executeInference(peerId, message, run, clientId))
+  }
+
+  /**
+   * Reject a request whose prompt plus maxTokens exceeds the context
+   *
+   * If the engine is down or tokenizing fails, the request goes ahead
+   * unchecked; llama-server still enforces the limit.
+   *
+   * @private
+   * @returns {Promise<boolean>} - True if the request was rejected
+   */
+  async _overflowsContext(peerId, message, input, run) {
+    const { contextSize } = run.model
+
+    if (!contextSize || run.engine.getState() !== 'ready') {
+      return false
+    }
+
+    let promptTokens
+
+    try {
+      promptTokens = await run.engine.countTokens(input)
+    } catch (error) {
+      this.emit('error', new Error(`Context preflight failed for ${message.requestId}: ${error.message}`))
+      return false
+    }
+
+    const maxTokens = clampSamplingOptions(message.options, this.samplingPolicy).options.maxTokens ?? this.config.maxTokens
+
+    if (promptTokens + maxTokens <= contextSize) {
+      return false
+    }
+
+    this._sendError(
+      peerId,
+      message.requestId,
+      `Prompt (${promptTokens} tokens) plus maxTokens (${maxTokens}) exceeds the context size (${contextSize} tokens)`,
+      false,
+      'context_overflow',
+      { promptTokens, maxTokens, contextSize }
+    )
+    this.emit('request-rejected', peerId, message.requestId, 'context-overflow')
+
+    return true
+  }
+
+  /**
+   * Admit a request into the queue
+   *
+   * Requests start right away while a slot is free; otherwise they wait
+   * in the backlog (in scheduler order) and the peer gets a queued
+   * message with its position. A full queue rejects the request
+   * immediately.
+   *
+   * @private
+   * @param {string} peerId - Requesting peer
+   * @param {object} message - Request message
+   * @param {string|object[]|string[]} input - Prompt, chat messages or texts (for events)
+   * @param {InferenceEngineSidecar} engine - Engine that will serve it
+   * @param {Function} execute - Called with the clientId when a slot is free
+   */
+  async _admitRequest(peerId, message, input, engine, execute) {
+    const { requestId } = message
+
+    if (engine.getState() !== 'ready') {
+      this._sendError(peerId, requestId, 'Inference engine unavailable', true, 'ENGINE_UNAVAILABLE')
+      this.emit('request-rejected', peerId, requestId, 'engine-unavailable')
+      return
+    }
+
+    // Check if we can accept requests
+    if (!this.monitor.canAcceptRequests()) {
+      this._sendError(peerId, requestId, 'Worker overloaded, rejecting request')
+      this.emit('request-rejected', peerId, requestId, 'overloaded')
+      return
+    }
+
+    if (this.queue.isFull()) {
+      this._sendError(peerId, requestId, 'Worker queue full, rejecting request')
+      this.emit('request-rejected', peerId, requestId, 'queue-full')
+      return
+    }
+
+    this.emit('request-accepted', peerId, requestId, input)
+
+    const clientId = this._getClientId(peerId)
+    const priority = this.config.scheduler === 'priority' ? this._getCredits(clientId) : 0
+
+    const position = this.queue.enqueue({
+      requestId,
+      peerId,
+      clientId,
+      priority,
+      run: () => execute(clientId)
+    })
+
+    if (position > 0) {
+      const notice = {
+        type: 'queued',
+        requestId,
+        workerId: this.workerId,
+        position,
+        timestamp: Date.now()
+      }
+
+      if (this.config.scheduler === 'priority') {
+        notice.priority = priority
+        notice.tier = getCreditTier(priority)
+      }
+
+      try {
+        this._send(peerId, notice)
+      } catch (error) {
+        this.emit('error', new Error(`Failed to send queued notice: ${error.message}`))
+      }
+
+      this.emit('request-queued', peerId, requestId, position, priority)
+    }
+  }
+
+  /**
+   * Run an inference request in a queue slot and send the result to the peer
+   *
+   * With message.stream set, tokens are forwarded as inference_chunk
+   * messages and the result is sent as inference_done; otherwise a
+   * single inference_result is sent.
+   *
+   * @private
+   * @param {string} peerId - Requesting peer
+   * @param {object} message - Request message
+   * @param {object} run - See _runInference()
+   * @param {string} clientId - Sender public key (resolved at admission)
    */
-  _sendError(peerId, requestId, errorMessage) {
+  async _executeInference(peerId, message, run, clientId) {
+    const { requestId, options = {} } = message
+
+    const controller = new AbortController()
+    const running = { peerId, controller, engine: run.engine, failure: null, tokensSent: 0 }
+    this.inflight.set(requestId, running)
+
+    const startTime = Date.now()
+    const usage = { outcome: 'failed', promptTokens: 0, completionTokens: 0, error: null }
+
+    try {
+      // The engine may have gone down while the request waited
+      if (run.engine.getState() !== 'ready') {
+        running.failure = 'ENGINE_UNAVAILABLE'
+        throw new Error('Inference engine unavailable')
+      }
+
+      const sampling = clampSamplingOptions(options, this.samplingPolicy)
+      if (sampling.clamped.length > 0) {
+        this.emit('request-clamped', peerId, requestId, sampling.clamped)
+      }
+
+      const params = {
+        ...sampling.options,
+        maxTokens: sampling.options.maxTokens ?? this.config.maxTokens,
+        temperature: sampling.options.temperature ?? this.config.temperature, // 0 is valid (greedy)
+        // Always a concrete seed, so the result can say how to replay it
+        seed: sampling.options.seed ?? this.config.seed ?? Math.floor(Math.random() * (MAX_SEED + 1)),
+        signal: controller.signal
+      }
+
+      // Perform inference
+      const result = message.stream
+        ? await this._streamInference(peerId, requestId, run.generateStream, params)
+        : await run.generate(params)
+
+      const duration = Date.now() - startTime
+
+      // Send result back to client
+      const response = {
+        type: message.stream ? 'inference_done' : 'inference_result',
+        requestId,
+        workerId: this.workerId,
+        result: {
+          text: result.text,
+          tokens: result.tokens,
+          duration,
+          tokensPerSecond: result.tokensPerSecond,
+          model: run.model.id,
+          seed: params.seed
+        },
+        timestamp: Date.now()
+      }
+
+      if (result.finishReason) {
+        response.result.finishReason = result.finishReason
+      }
+
+      if (result.promptTokens !== undefined) {
+        response.result.promptTokens = result.promptTokens
+      }
+
+      usage.outcome = 'completed'
+      usage.promptTokens = result.promptTokens || 0
+      usage.completionTokens = result.tokens || 0
+
+      this._expectReceipt(requestId, clientId, response.result)
+
+      this._send(peerId, response)
+
+      this.emit('request-completed', peerId, requestId, {
+        tokens: result.tokens,
+        duration
+      })
+
+    } catch (error) {
+      if (usage.outcome !== 'completed') {
+        usage.outcome = controller.signal.aborted && !running.failure ? 'cancelled' : 'failed'
+        usage.completionTokens = running.tokensSent
+        usage.error = usage.outcome === 'failed' ? error.message : null
+      }
+
+      if (running.failure) {
+        this._sendError(peerId, requestId, error.message, true, running.failure)
+        this.emit('request-failed', peerId, requestId, error)
+      } else if (controller.signal.aborted) {
+        this.emit('request-cancelled', peerId, requestId)
+      } else {
+        this._sendError(peerId, requestId, error.message)
+        this.emit('request-failed', peerId, requestId, error)
+      }
+
+    } finally {
+      this.inflight.delete(requestId)
+      this.sealedRequests.delete(requestId)
+      this._recordUsage(requestId, clientId, run.model.id, startTime, usage)
+    }
+  }
+
+  /**
+   * Run an embedding request in a queue slot and send the vectors to the peer
+   *
+   * @private
+   * @param {string} peerId - Requesting peer
+   * @param {object} message - Embed request message
+   * @param {object} target - { engine, model }
+   * @param {string} clientId - Sender public key (resolved at admission)
+   */
+  async _executeEmbedding(peerId, message, target, clientId) {
+    const { requestId, texts } = message
+
+    const controller = new AbortController()
+    const running = { peerId, controller, engine: target.engine, failure: null, tokensSent: 0 }
+    this.inflight.set(requestId, running)
+
+    const startTime = Date.now()
+    const usage = { outcome: 'failed', promptTokens: 0, completionTokens: 0, error: null }
+
+    try {
+      if (target.engine.getState() !== 'ready') {
+        running.failure = 'ENGINE_UNAVAILABLE'
+        throw new Error('Inference engine unavailable')
+      }
+
+      const result = await target.engine.embed(texts, { signal: controller.signal })
+      const duration = Date.now() - startTime
+
+      usage.outcome = 'completed'
+      usage.promptTokens = result.promptTokens
+
+      this._send(peerId, {
+        type: 'embedding_result',
+        requestId,
+        workerId: this.workerId,
+        result: {
+          embeddings: result.embeddings,
+          dimension: result.dimension,
+          promptTokens: result.promptTokens,
+          duration,
+          model: target.model.id
+        },
+        timestamp: Date.now()
+      })
+
+      this.emit('request-completed', peerId, requestId, {
+        tokens: 0,
+        embeddings: texts.length,
+        duration
+      })
+
+    } catch (error) {
+      if (usage.outcome !== 'completed') {
+        usage.outcome = controller.signal.aborted && !running.failure ? 'cancelled' : 'failed'
+        usage.error = usage.outcome === 'failed' ? error.message : null
+      }
+
+      if (running.failure) {
+        this._sendError(peerId, requestId, error.message, true, running.failure)
+        this.emit('request-failed', peerId, requestId, error)
+      } else if (controller.signal.aborted) {
+        this.emit('request-cancelled', peerId, requestId)
+      } else {
+        this._sendError(peerId, requestId, error.message)
+        this.emit('request-failed', peerId, requestId, error)
+      }
+
+    } finally {
+      this.inflight.delete(requestId)
+      this.sealedRequests.delete(requestId)
+      this._recordUsage(requestId, clientId, target.model.id, startTime, usage)
+    }
+  }
+
+  /**
+   * Record a finished request in the usage ledger
+   *
+   * Ledger failures are reported as 'error' events and never affect
+   * the request itself.
+   *
+   * @private
+   */
+  _recordUsage(requestId, clientId, model, startTime, usage) {
+    if (!this.ledger) {
+      return
+    }
+
+    this.ledger.record({
+      requestId,
+      clientId,
+      model,
+      ...usage,
+      duration: Date.now() - startTime,
+      timestamp: startTime
+    }).catch((error) => {
+      this.emit('error', new Error(`Failed to record usage for ${requestId}: ${error.message}`))
+    })
+  }
+
+  /**
+   * Remember what was sent so the client's receipt can be checked
+   *
+   * @private
+   */
+  _expectReceipt(requestId, clientId, result) {
+    if (!this.ledger) {
+      return // Nowhere to keep receipts
+    }
+
+    const now = Date.now()
+
+    for (const [id, awaiting] of this.awaitingReceipts) {
+      if (awaiting.expiresAt <= now) {
+        this.awaitingReceipts.delete(id)
+      }
+    }
+
+    this.awaitingReceipts.set(requestId, {
+      clientId,
+      resultHash: hashResult(result.text),
+      promptTokens: result.promptTokens || 0,
+      completionTokens: result.tokens || 0,
+      expiresAt: now + RECEIPT_TIMEOUT
+    })
+  }
+
+  /**
+   * Handle a client-signed receipt for a completed request
+   *
+   * The receipt must come from the client's own connection, verify
+   * against its key, and match exactly what this worker sent.
+   *
+   * @private
+   */
+  async _handleReceipt(peerId, message) {
+    const { requestId } = message
+    const awaiting = this.awaitingReceipts.get(requestId)
+
+    let problem = null
+
+    if (!awaiting || awaiting.expiresAt <= Date.now()) {
+      problem = 'no completed request awaiting a receipt'
+    } else if (this._getClientId(peerId) !== awaiting.clientId) {
+      problem = 'receipt sent from another peer'
+    } else {
+      problem = verifyReceipt(message, { workerId: this.workerId, clientId: awaiting.clientId })
+    }
+
+    if (!problem && (
+      message.resultHash !== awaiting.resultHash ||
+      message.promptTokens !== awaiting.promptTokens ||
+      message.completionTokens !== awaiting.completionTokens
+    )) {
+      problem = 'receipt does not match the result sent'
+    }
+
+    if (problem) {
+      this.emit('receipt-rejected', peerId, requestId, problem)
+      return
+    }
+
+    this.awaitingReceipts.delete(requestId)
+
+    try {
+      if (await this.ledger.addReceipt(message)) {
+        this.emit('receipt-accepted', peerId, requestId, message)
+      }
+    } catch (error) {
+      this.emit('error', new Error(`Failed to store receipt for ${requestId}: ${error.message}`))
+    }
+  }
+
+  /**
+   * Identify the client behind a peer (its public key, hex)
+   *
+   * Resolved at admission, while the peer is certainly still connected.
+   *
+   * @private
+   */
+  _getClientId(peerId) {
+    const info = this.network && this.network.getPeerInfo(peerId)
+    return (info && info.publicKey) || peerId
+  }
+
+  /**
+   * Look up a client's credits for the priority scheduler
+   *
+   * Unknown clients, and lookups that fail, get 0 (lowest priority).
+   *
+   * @private
+   * @param {string} clientId - Client public key (hex)
+   * @returns {number} - Credits (>= 0)
+   */
+  _getCredits(clientId) {
+    let credits
+
+    try {
+      credits = this.config.getCredits
+        ? this.config.getCredits(clientId)
+        : this.config.credits && this.config.credits[clientId]
+    } catch (error) {
+      this.emit('error', new Error(`Credit lookup failed for ${clientId}: ${error.message}`))
+    }
+
+    return Number.isFinite(credits) && credits > 0 ? credits : 0
+  }
+
+  /**
+   * Handle cancel request
+   *
+   * Queued requests are dropped; running ones have their llama-server
+   * fetch aborted so the slot is freed. Only the peer that sent a
+   * request may cancel it.
+   *
+   * @private
+   */
+  _handleCancel(peerId, message) {
+    const { requestId } = message
+
+    const job = this.queue.getJob(requestId)
+    if (!job || job.peerId !== peerId) {
+      return // Unknown, finished, or someone else's request
+    }
+
+    const running = this.inflight.get(requestId)
+    if (running) {
+      running.controller.abort()
+      return
+    }
+
+    if (this.queue.remove(requestId)) {
+      this.sealedRequests.delete(requestId)
+      this.emit('request-cancelled', peerId, requestId)
+    }
+  }
+
+  /**
+   * Cancel every request from a peer that disconnected
+   *
+   * @private
+   */
+  _cancelPeerRequests(peerId) {
+    for (const running of this.inflight.values()) {
+      if (running.peerId === peerId) {
+        running.controller.abort()
+      }
+    }
+
+    if (this.queue) {
+      for (const job of this.queue.removeWhere(job => job.peerId === peerId)) {
+        this.emit('request-cancelled', peerId, job.requestId)
+      }
+    }
+
+    for (const [requestId, sealed] of this.sealedRequests) {
+      if (sealed.peerId === peerId) {
+        this.sealedRequests.delete(requestId)
+      }
+    }
+  }
+
+  /**
+   * Run a streaming inference, forwarding each token as an inference_chunk
+   *
+   * Chunks carry a sequence number starting at 0 so the client can
+   * reassemble them in order and detect gaps.
+   *
+   * @private
+   * @returns {Promise<object>} - Generation result (text, tokens, tokensPerSecond)
+   */
+  async _streamInference(peerId, requestId, generateStream, params) {
+    const running = this.inflight.get(requestId)
+    let seq = 0
+
+    return generateStream((token) => {
+      // Counted even if the send fails: the worker still generated it
+      if (running) running.tokensSent++
+
+      try {
+        this._send(peerId, {
+          type: 'inference_chunk',
+          requestId,
+          workerId: this.workerId,
+          seq: seq++,
+          token,
+          timestamp: Date.now()
+        })
+      } catch (error) {
+        // Peer went away mid-stream; the final send reports the failure
+      }
+    }, params)
+  }
+
+  /**
+   * Handle status request
+   *
+   * @private
+   */
+  _handleStatusRequest(peerId, message) {
+    const { requestId } = message
+
+    const response = {
+      type: 'status_response',
+      requestId,
+      workerId: this.workerId,
+      health: this._getHealthSummary(),
+      models: this.models,
+      constrained: this.config.constrainedDecoding,
+      timestamp: Date.now()
+    }
+
+    this._send(peerId, response)
+    this.emit('status-sent', peerId, requestId)
+  }
+
+  /**
+   * Send error response to peer
+   *
+   * @private
+   * @param {string} peerId - Requesting peer
+   * @param {string} requestId - Failed request
+   * @param {string} errorMessage - Error description
+   * @param {boolean} [retryable] - Whether another worker could succeed (false for invalid requests)
+   * @param {string} [code] - Machine-readable reason (e.g. ENGINE_CRASHED)
+   * @param {object} [details] - Structured data about the failure (e.g. token counts)
+   */
+  _sendError(peerId, requestId, errorMessage, retryable = true, code = null, details = null) {
     const response = {
       type: 'inference_error',
       requestId,
       workerId: this.workerId,
       error: errorMessage,
+      retryable,
       timestamp: Date.now()
     }
 
+    if (code) {
+      response.code = code
+    }
+
+    if (details) {
+      response.details = details
+    }
+
     try {
-      this.network.sendMessage(peerId, response)
+      this._send(peerId, response)
     } catch (error) {
       this.emit('error', new Error(`Failed to send error response: ${error.message}`))
     }
   }
 
+  /**
+   * Sign and send a message to a peer
+   *
+   * @private
+   */
+  _send(peerId, message) {
+    const sealed = this.sealedRequests.get(message.requestId)
+
+    if (!sealed || sealed.peerId !== peerId) {
+      this.network.sendMessage(peerId, this.identity.sign(message))
+      return
+    }
+
+    // Final replies end the request's encrypted session
+    if (TERMINAL_TYPES.includes(message.type)) {
+      this.sealedRequests.delete(message.requestId)
+    }
+
+    const box = seal(this.identity.sign(message), sealed.clientKey, this.curveSecretKey)
+
+    this.network.sendMessage(peerId, this.identity.sign({
+      type: 'sealed',
+      requestId: message.requestId,
+      workerId: this.workerId,
+      ...box
+    }))
+  }
+
+  /**
+   * Get this worker's score from its stored receipts
+   *
+   * Every receipt is verified again, so a tampered ledger does not count.
+   *
+   * @returns {Promise<object>} - { totalScore, requestCount, promptTokens, completionTokens, clients, rejected }
+   */
+  async getVerifiedScore() {
+    const receipts = this.ledger ? await this.ledger.getReceipts() : []
+    return scoreReceipts(receipts, this.workerId)
+  }
+
   /**
    * Get worker status
    *
@@ -420,6 +1728,9 @@ export class WorkerNode extends EventEmitter {
       topicKey: this.topicKey,
       networkTopic: this.config.networkTopic,
       health: this.monitor ? this.monitor.getHealth() : null,
+      models: this.models,
+      constrained: this.config.constrainedDecoding,
+      queue: this.queue ? this.queue.getStats() : null,
       peerCount: this.network ? this.network.getPeers(this.topicKey).length : 0
     }
   }
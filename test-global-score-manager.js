@@ -0,0 +1,131 @@
+#!/usr/bin/env pear
+
+/**
+ * Global Score Manager Test
+ *
+ * Tests the devtest network leaderboard built from peer announcements
+ *
+ * This test:
+ * 1. Validates that announcements without receipts are rejected
+ * 2. Validates that stored scores come from receipts, not claims
+ * 3. Tests stale updates, ranking and network stats
+ * 4. Tests worker selection from shared health data
+ *
+ * Usage: pear run --dev test-global-score-manager.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { Identity } from './src/lib/identity.js'
+import { createReceipt } from './src/lib/receipt.js'
+import { GlobalScoreManager } from './devtest/lib/global-score-manager.js'
+
+console.log('\n🌐 Global Score Manager Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+// Health data as devtest workers announce it
+function system(queueLength, healthScore, status = 'idle') {
+  return { queueLength, maxQueue: 5, healthScore, status, isAccepting: status !== 'overloaded' }
+}
+
+async function main() {
+  try {
+    const client = Identity.generate()
+    const workerA = Identity.generate().id
+    const workerB = Identity.generate().id
+    const workerC = Identity.generate().id
+
+    const receipt = (requestId, workerId, tokens) =>
+      createReceipt({ requestId, workerId, result: { text: requestId, tokens } }, client)
+
+    const manager = new GlobalScoreManager(true)
+
+    // Test 1: Receipts required
+    console.log('\n📋 Test 1: Announcements Need Receipts\n')
+
+    check('claim without receipts is rejected', manager.updatePeerScore({ workerId: workerA, totalScore: 5000, requestCount: 50 }) === false)
+    check('rejected worker is not stored', !manager.hasWorker(workerA))
+
+    // Test 2: Receipt-proven scores
+    console.log('\n📋 Test 2: Scores Come From Receipts\n')
+
+    check('empty receipts are accepted', manager.updatePeerScore({ workerId: workerC, totalScore: 9000, receipts: [], system: system(0, 60) }))
+    check('empty receipts score zero whatever is claimed', manager.getWorkerScore(workerC).totalScore === 0)
+
+    const accepted = manager.updatePeerScore({
+      workerId: workerA,
+      totalScore: 99999,
+      requestCount: 999,
+      receipts: [receipt('a1', workerA, 30), receipt('a2', workerA, 20), receipt('b1', workerB, 500)],
+      system: system(2, 80, 'light')
+    })
+    const scoreA = manager.getWorkerScore(workerA)
+
+    check('announcement with receipts is accepted', accepted)
+    check('score is the receipt-proven tokens', scoreA.totalScore === 50 && scoreA.completionTokens === 50)
+    check('request count is the receipt-proven count', scoreA.requestCount === 2)
+    check('health data is kept', scoreA.system.status === 'light')
+    check('receipts are not stored', scoreA.receipts === undefined)
+
+    manager.updatePeerScore({ workerId: workerB, receipts: [receipt('b1', workerB, 500)], system: system(0, 90) })
+    check('a receipt only counts for its own worker', manager.getWorkerScore(workerB).totalScore === 500)
+
+    // Test 3: Stale updates and ranking
+    console.log('\n📋 Test 3: Stale Updates and Ranking\n')
+
+    const stale = manager.updatePeerScore({ workerId: workerA, receipts: [], timestamp: scoreA.timestamp - 1000 })
+    check('older announcement is ignored', stale === false && manager.getWorkerScore(workerA).totalScore === 50)
+
+    const leaderboard = manager.getGlobalLeaderboard()
+    check('leaderboard ranks by score', leaderboard.map(entry => entry.workerId).join(',') === [workerB, workerA, workerC].join(','))
+    check('global rank is looked up', manager.getWorkerGlobalRank(workerA) === 2)
+
+    const stats = manager.getNetworkStats()
+    check('network stats sum proven work', stats.totalWorkers === 3 && stats.totalRequests === 3 && stats.topScore === 500)
+
+    // Test 4: Worker selection
+    console.log('\n📋 Test 4: Worker Selection\n')
+
+    check('empty queue with best health is selected', manager.selectBestWorker()?.workerId === workerB)
+
+    manager.updatePeerScore({ workerId: workerB, receipts: [], system: system(5, 90, 'overloaded') })
+    check('overloaded workers are skipped', !manager.getAvailableWorkers().some(worker => worker.workerId === workerB))
+    check('next empty queue is selected', manager.selectBestWorker()?.workerId === workerC)
+
+    manager.clearAll()
+    check('clearAll empties the leaderboard', manager.getActivePeerScores().size === 0)
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Global Score Manager test PASSED!\n' : '\n❌ Global Score Manager test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,127 @@
+#!/usr/bin/env pear
+
+/**
+ * Identity Test
+ *
+ * Tests the persistent ed25519 identity that signs worker messages
+ *
+ * This test:
+ * 1. Validates canonical JSON (key order independent)
+ * 2. Tests signing and verification
+ * 3. Validates that tampered messages and wrong keys are rejected
+ * 4. Tests that an identity survives a save and load
+ *
+ * Usage: pear run --dev test-identity.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import path from '#path'
+import os from '#os'
+import fs from '#fs/promises'
+import { Identity, canonicalJson } from './src/lib/identity.js'
+
+console.log('\n🔑 Identity Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+const TEMP_DIR = path.join(os.tmpdir(), `qmesh-identity-test-${Date.now()}`)
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+async function main() {
+  try {
+    // Test 1: Canonical JSON
+    console.log('\n📋 Test 1: Canonical JSON\n')
+
+    check('object keys are sorted', canonicalJson({ b: 1, a: { d: 2, c: 3 } }) === '{"a":{"c":3,"d":2},"b":1}')
+    check('undefined values are left out', canonicalJson({ a: 1, b: undefined }) === '{"a":1}')
+    check('arrays keep their order', canonicalJson([3, { b: 1, a: 2 }]) === '[3,{"a":2,"b":1}]')
+
+    // Test 2: Signing
+    console.log('\n📋 Test 2: Sign and Verify\n')
+
+    const identity = Identity.generate()
+    const message = { type: 'status', workerId: identity.id, data: { load: 1 } }
+    const signed = identity.sign(message)
+
+    check('id is the hex public key', /^[0-9a-f]{64}$/.test(identity.id))
+    check('sign adds a hex signature', /^[0-9a-f]{128}$/.test(signed.signature))
+    check('sign leaves the message unchanged', message.signature === undefined)
+    check('signed message verifies', Identity.verify(signed, identity.id))
+    check('key order does not matter', Identity.verify({ data: { load: 1 }, signature: signed.signature, workerId: identity.id, type: 'status' }, identity.id))
+    check('re-signing replaces the old signature', Identity.verify(identity.sign(signed), identity.id))
+
+    // Test 3: Rejection
+    console.log('\n📋 Test 3: Tampering and Wrong Keys\n')
+
+    const other = Identity.generate()
+
+    check('tampered message is rejected', !Identity.verify({ ...signed, data: { load: 2 } }, identity.id))
+    check('wrong key is rejected', !Identity.verify(signed, other.id))
+    check('missing signature is rejected', !Identity.verify(message, identity.id))
+    check('malformed key is rejected', !Identity.verify(signed, 'abc'))
+    check('malformed signature is rejected', !Identity.verify({ ...signed, signature: 'zz' }, identity.id))
+    check('non-object is rejected', !Identity.verify(null, identity.id))
+
+    // Test 4: Persistence
+    console.log('\n📋 Test 4: Save and Load\n')
+
+    const filePath = path.join(TEMP_DIR, 'nested', 'identity.json')
+    const created = await Identity.load(filePath)
+    const loaded = await Identity.load(filePath)
+
+    check('load creates a missing identity file', created instanceof Identity)
+    check('load returns the saved identity', loaded.id === created.id)
+    check('loaded identity signs verifiably', Identity.verify(loaded.sign(message), created.id))
+
+    const corrupt = path.join(TEMP_DIR, 'corrupt.json')
+    await fs.writeFile(corrupt, 'not json')
+
+    let loadError = null
+    try {
+      await Identity.load(corrupt)
+    } catch (error) {
+      loadError = error
+    }
+    check('unreadable identity file is an error, not replaced', loadError?.message.startsWith(`Failed to read identity file ${corrupt}`))
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Identity test PASSED!\n' : '\n❌ Identity test FAILED\n')
+    console.log('='.repeat(60))
+
+    await cleanup()
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+
+    await cleanup()
+    process.exit(1)
+  }
+}
+
+async function cleanup() {
+  await fs.rm(TEMP_DIR, { recursive: true, force: true })
+}
+
+main()
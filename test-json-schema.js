@@ -0,0 +1,122 @@
+#!/usr/bin/env pear
+
+/**
+ * JSON Schema Test
+ *
+ * Tests the schema checks generateJSON() runs on every result
+ *
+ * This test:
+ * 1. Validates types, enum and const
+ * 2. Validates objects, arrays, strings and numbers
+ * 3. Validates allOf, anyOf and oneOf
+ * 4. Tests that bad schemas (e.g. an invalid pattern) are caught up front
+ *
+ * Usage: pear run --dev test-json-schema.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { checkSchema, validateJson } from './src/lib/json-schema.js'
+
+console.log('\n📐 JSON Schema Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+async function main() {
+  try {
+    // Test 1: Types, enum and const
+    console.log('\n📋 Test 1: Types, Enum and Const\n')
+
+    check('true schema accepts anything', validateJson({ any: 1 }, true) === null)
+    check('false schema rejects everything', validateJson(1, false) === '$ is not allowed')
+    check('matching type passes', validateJson(3, { type: 'integer' }) === null)
+    check('wrong type is reported', validateJson(3.5, { type: 'integer' }) === '$ must be integer (got number)')
+    check('type lists are supported', validateJson(null, { type: ['string', 'null'] }) === null)
+    check('arrays are not objects', validateJson([], { type: 'object' }) === '$ must be object (got array)')
+    check('enum rejects other values', validateJson('maybe', { enum: ['yes', 'no'] }) === '$ must be one of "yes", "no"')
+    check('const compares deeply', validateJson({ a: [1] }, { const: { a: [1] } }) === null)
+
+    // Test 2: Objects, arrays, strings and numbers
+    console.log('\n📋 Test 2: Objects, Arrays, Strings and Numbers\n')
+
+    const schema = {
+      type: 'object',
+      properties: {
+        sentiment: { enum: ['positive', 'negative', 'neutral'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        tags: { type: 'array', items: { type: 'string', minLength: 2 }, maxItems: 2 },
+        code: { type: 'string', pattern: '^[A-Z]{3}$' }
+      },
+      required: ['sentiment', 'confidence'],
+      additionalProperties: false
+    }
+
+    check('valid object passes', validateJson({ sentiment: 'positive', confidence: 0.9, tags: ['ok'], code: 'ABC' }, schema) === null)
+    check('missing required property', validateJson({ sentiment: 'positive' }, schema) === '$.confidence is required')
+    check('extra property is rejected', validateJson({ sentiment: 'neutral', confidence: 0, extra: 1 }, schema) === '$.extra is not allowed')
+    check('number above maximum', validateJson({ sentiment: 'neutral', confidence: 2 }, schema) === '$.confidence must be at most 1')
+    check('too many items', validateJson({ sentiment: 'neutral', confidence: 0, tags: ['ab', 'cd', 'ef'] }, schema) === '$.tags must have at most 2 items')
+    check('item path is reported', validateJson({ sentiment: 'neutral', confidence: 0, tags: ['ab', 'c'] }, schema) === '$.tags[1] must be at least 2 characters')
+    check('pattern mismatch', validateJson({ sentiment: 'neutral', confidence: 0, code: 'abc' }, schema) === '$.code must match ^[A-Z]{3}$')
+    check('exclusive bounds', validateJson(5, { exclusiveMaximum: 5 }) === '$ must be less than 5')
+
+    // Test 3: Combinators
+    console.log('\n📋 Test 3: allOf, anyOf and oneOf\n')
+
+    check('allOf needs every branch', validateJson(150, { allOf: [{ type: 'integer' }, { maximum: 100 }] }) === '$ must be at most 100')
+    check('anyOf needs one branch', validateJson(true, { anyOf: [{ type: 'string' }, { type: 'number' }] }) === '$ matches none of anyOf')
+    check('anyOf passes on any branch', validateJson(1, { anyOf: [{ type: 'string' }, { type: 'number' }] }) === null)
+    check('oneOf rejects several matches', validateJson(1, { oneOf: [{ type: 'integer' }, { type: 'number' }] }) === '$ must match exactly one of oneOf (matches 2)')
+
+    // Test 4: Checking schemas
+    console.log('\n📋 Test 4: Bad Schemas Are Caught Up Front\n')
+
+    check('usable schema passes', checkSchema(schema) === null)
+    check('boolean schemas pass', checkSchema(true) === null && checkSchema(false) === null)
+    check('non-object schema is rejected', checkSchema('string') === '$ must be a schema object or boolean')
+    check('non-string pattern is rejected', checkSchema({ pattern: 5 }) === '$.pattern must be a string')
+
+    const nested = checkSchema({ properties: { list: { items: { anyOf: [{ pattern: '[a-' }] } } } })
+    check('invalid nested pattern is reported with its path', nested?.startsWith('$.properties.list.items.anyOf[0].pattern is not a valid regular expression'))
+
+    let thrown = null
+    try {
+      validateJson('x', { pattern: '(' })
+    } catch (error) {
+      thrown = error
+    }
+    check('validateJson throws on an unchecked bad pattern', thrown instanceof SyntaxError)
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ JSON Schema test PASSED!\n' : '\n❌ JSON Schema test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -17,6 +17,11 @@
 import 'bare-node-runtime/global'
 import process from '#process'
 import { NetworkManager } from './src/lib/network-manager.js'
+import { registerMessageType } from './src/lib/protocol.js'
+
+// Test-only message types
+registerMessageType('ping', { data: { type: 'object', required: true } })
+registerMessageType('pong', { data: { type: 'object', required: true } })
 
 console.log('\n🌐 Network Manager Test\n')
 console.log('='.repeat(60))
@@ -0,0 +1,108 @@
+#!/usr/bin/env pear
+
+/**
+ * Work Receipt Test
+ *
+ * Tests client-signed receipts and the scores computed from them
+ *
+ * This test:
+ * 1. Creates a receipt and validates its fields
+ * 2. Validates that forged, altered and misdirected receipts are rejected
+ * 3. Tests score computation (duplicates and self-signed receipts ignored)
+ *
+ * Usage: pear run --dev test-receipt.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { Identity } from './src/lib/identity.js'
+import { createReceipt, verifyReceipt, scoreReceipts, hashResult } from './src/lib/receipt.js'
+
+console.log('\n🧾 Work Receipt Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+async function main() {
+  try {
+    const client = Identity.generate()
+    const worker = Identity.generate()
+    const result = { text: 'Hello there', tokens: 12, promptTokens: 5, model: 'tinyllama' }
+
+    // Test 1: Creating receipts
+    console.log('\n📋 Test 1: Create a Receipt\n')
+
+    const receipt = createReceipt({ requestId: 'r1', workerId: worker.id, result }, client)
+
+    check('receipt names worker and client', receipt.workerId === worker.id && receipt.clientId === client.id)
+    check('receipt carries token counts', receipt.completionTokens === 12 && receipt.promptTokens === 5)
+    check('receipt hashes the result text', receipt.resultHash === hashResult('Hello there'))
+    check('hash depends on the text', hashResult('Hello there') !== hashResult('Hello there!'))
+    check('valid receipt verifies', verifyReceipt(receipt, { workerId: worker.id, clientId: client.id }) === null)
+
+    const empty = createReceipt({ requestId: 'r0', workerId: worker.id }, client)
+    check('missing result counts zero tokens', empty.completionTokens === 0 && empty.model === null)
+
+    // Test 2: Rejection
+    console.log('\n📋 Test 2: Forged and Altered Receipts\n')
+
+    check('non-receipt is rejected', verifyReceipt({ ...receipt, type: 'status' }) === 'not a receipt')
+    check('missing field is rejected', verifyReceipt({ ...receipt, resultHash: undefined }) === 'missing resultHash')
+    check('negative tokens are rejected', verifyReceipt({ ...receipt, completionTokens: -1 }) === 'completionTokens must be a non-negative integer')
+    check('inflated tokens break the signature', verifyReceipt({ ...receipt, completionTokens: 1000 }) === 'invalid signature')
+    check('receipt for another worker is rejected', verifyReceipt(receipt, { workerId: client.id }) === 'receipt is for another worker')
+    check('receipt from another client is rejected', verifyReceipt(receipt, { clientId: worker.id }) === 'receipt is signed by another client')
+
+    const selfSigned = createReceipt({ requestId: 'r2', workerId: worker.id, result }, worker)
+    check('self-signed receipt is rejected', verifyReceipt(selfSigned) === 'self-signed receipt')
+
+    const forged = { ...createReceipt({ requestId: 'r3', workerId: worker.id, result }, worker), clientId: client.id }
+    check('receipt signed by someone else is rejected', verifyReceipt(forged) === 'invalid signature')
+
+    // Test 3: Scoring
+    console.log('\n📋 Test 3: Score From Receipts\n')
+
+    const otherClient = Identity.generate()
+    const second = createReceipt({ requestId: 'r4', workerId: worker.id, result: { text: 'x', tokens: 8, promptTokens: 2 } }, otherClient)
+    const score = scoreReceipts([receipt, receipt, second, selfSigned, forged, empty], worker.id)
+
+    check('each request counts once', score.requestCount === 3)
+    check('score is the generated tokens', score.totalScore === 20 && score.completionTokens === 20)
+    check('prompt tokens are summed', score.promptTokens === 7)
+    check('distinct clients are counted', score.clients === 2)
+    check('duplicates and invalid receipts are rejected', score.rejected === 3)
+    check('receipts for other workers score nothing', scoreReceipts([receipt], client.id).totalScore === 0)
+    check('no receipts score zero', scoreReceipts(undefined, worker.id).requestCount === 0)
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Work Receipt test PASSED!\n' : '\n❌ Work Receipt test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
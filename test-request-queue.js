@@ -0,0 +1,154 @@
+#!/usr/bin/env pear
+
+/**
+ * Request Queue Test
+ *
+ * Tests the bounded admission queue in front of llama-server's slots
+ *
+ * This test:
+ * 1. Validates concurrency limits and backlog positions
+ * 2. Validates refusal once slots and backlog are full
+ * 3. Tests that finished jobs start waiting ones
+ * 4. Tests remove, clear and the priority scheduler
+ *
+ * Usage: pear run --dev test-request-queue.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { RequestQueue } from './src/lib/request-queue.js'
+import { createScheduler } from './src/lib/scheduler.js'
+
+console.log('\n🚦 Request Queue Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+// A job that runs until release() is called
+function createJob(requestId, priority) {
+  let release
+  const done = new Promise(resolve => { release = resolve })
+  return { requestId, priority, release, run: () => done }
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10))
+}
+
+async function main() {
+  try {
+    // Test 1: Concurrency and positions
+    console.log('\n📋 Test 1: Concurrency and Backlog Positions\n')
+
+    const queue = new RequestQueue({ concurrency: 2, capacity: 2 })
+    const jobs = ['a', 'b', 'c', 'd', 'e'].map(requestId => createJob(requestId))
+
+    const started = []
+    queue.on('started', (requestId) => started.push(requestId))
+
+    const positions = jobs.slice(0, 4).map(job => queue.enqueue(job))
+
+    check('jobs within concurrency start immediately', positions.join(',') === '0,0,1,2')
+    check('running jobs report position 0', queue.getPosition('a') === 0)
+    check('waiting jobs report their backlog position', queue.getPosition('d') === 2)
+    check('unknown jobs report -1', queue.getPosition('z') === -1)
+    check('getJob finds running and waiting jobs', queue.getJob('a') === jobs[0] && queue.getJob('c')?.requestId === 'c')
+
+    const stats = queue.getStats()
+    check('stats count active and waiting jobs', stats.active === 2 && stats.waiting === 2 && stats.scheduler === 'fifo')
+
+    // Test 2: Refusal when full
+    console.log('\n📋 Test 2: Refusal When Full\n')
+
+    check('isFull once slots and backlog are taken', queue.isFull())
+
+    let fullError = null
+    try {
+      queue.enqueue(jobs[4])
+    } catch (error) {
+      fullError = error
+    }
+    check('enqueue throws when full', fullError?.message === 'Request queue full')
+
+    // Test 3: Draining
+    console.log('\n📋 Test 3: Finished Jobs Start Waiting Ones\n')
+
+    const finished = []
+    queue.on('finished', (requestId) => finished.push(requestId))
+
+    jobs[0].release()
+    await settle()
+
+    check('finished job leaves its slot', finished.join(',') === 'a')
+    check('oldest waiting job starts next', started.join(',') === 'a,b,c')
+    check('backlog positions move up', queue.getPosition('d') === 1)
+
+    const solo = new RequestQueue({ concurrency: 1, capacity: 0 })
+    let jobError = null
+    solo.on('job-error', (requestId, error) => { jobError = { requestId, error } })
+
+    solo.enqueue({ requestId: 'f', run: async () => { throw new Error('boom') } })
+    await settle()
+
+    check('a failing job emits job-error', jobError?.requestId === 'f' && jobError.error.message === 'boom')
+    check('a failing job frees its slot', !solo.isFull() && solo.getPosition('f') === -1)
+
+    // Test 4: remove, clear and priority scheduling
+    console.log('\n📋 Test 4: Remove, Clear and Priority\n')
+
+    const blocked = new RequestQueue({ concurrency: 1, capacity: 5, scheduler: createScheduler('priority') })
+    const runner = createJob('run')
+    blocked.enqueue(runner)
+    blocked.enqueue(createJob('low', 1))
+    blocked.enqueue(createJob('mid', 100))
+    const highPosition = blocked.enqueue(createJob('high', 1000))
+
+    check('priority scheduler puts more credits first', highPosition === 1 && blocked.getPosition('low') === 3)
+    check('remove returns the waiting job', blocked.remove('mid')?.requestId === 'mid')
+    check('remove ignores running jobs', blocked.remove('run') === null)
+
+    const dropped = blocked.clear()
+    check('clear drops every waiting job', dropped.map(job => job.requestId).join(',') === 'high,low')
+    check('clear leaves running jobs alone', blocked.getStats().active === 1 && blocked.getStats().waiting === 0)
+
+    // Let the remaining jobs finish
+    jobs[1].release()
+    jobs[2].release()
+    jobs[3].release()
+    runner.release()
+    await settle()
+
+    check('queue empties once all jobs finish', queue.getStats().active === 0 && queue.getStats().waiting === 0)
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Request Queue test PASSED!\n' : '\n❌ Request Queue test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,130 @@
+#!/usr/bin/env pear
+
+/**
+ * Sampling Options Test
+ *
+ * Tests the sampling option schema shared by clients and workers
+ *
+ * This test:
+ * 1. Validates well-formed and malformed options
+ * 2. Tests constrained decoding detection
+ * 3. Tests clamping to a worker policy
+ * 4. Validates worker sampling policies
+ *
+ * Usage: pear run --dev test-sampling.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import {
+  MAX_SEED,
+  validateSamplingOptions,
+  isConstrained,
+  pickSamplingOptions,
+  clampSamplingOptions,
+  validateSamplingPolicy
+} from './src/lib/sampling.js'
+
+console.log('\n🎲 Sampling Options Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+async function main() {
+  try {
+    // Test 1: Validation
+    console.log('\n📋 Test 1: Validate Options\n')
+
+    const valid = {
+      maxTokens: 100,
+      temperature: 0.7,
+      topP: 0.9,
+      stop: ['\n'],
+      logitBias: { 15043: 2, hello: false },
+      mirostat: 2,
+      seed: MAX_SEED,
+      timeout: 5000 // Not a sampling option, ignored
+    }
+
+    check('valid options pass', validateSamplingOptions(valid) === null)
+    check('missing options pass', validateSamplingOptions(undefined) === null)
+    check('non-object options fail', validateSamplingOptions([]) === 'options must be an object')
+    check('non-integer maxTokens fails', validateSamplingOptions({ maxTokens: 1.5 }) === 'Invalid maxTokens: must be an integer (got 1.5)')
+    check('out of range topP fails', validateSamplingOptions({ topP: 2 }) === 'Invalid topP: must be at most 1 (got 2)')
+    check('seed above MAX_SEED fails', validateSamplingOptions({ seed: MAX_SEED + 1 }) !== null)
+    check('unknown mirostat version fails', validateSamplingOptions({ mirostat: 3 }) === 'Invalid mirostat: must be one of 0, 1, 2 (got 3)')
+    check('empty stop string fails', validateSamplingOptions({ stop: [''] }) === 'Invalid stop: must be an array of non-empty strings')
+    check('non-numeric logit bias fails', validateSamplingOptions({ logitBias: { a: 'up' } }) === 'Invalid logitBias: bias for "a" must be a number or false')
+    check('empty grammar fails', validateSamplingOptions({ grammar: '' }) === 'Invalid grammar: must be a non-empty string')
+    check('grammar and jsonSchema together fail', validateSamplingOptions({ grammar: 'root ::= "a"', jsonSchema: {} }) === 'Invalid options: use grammar or jsonSchema, not both')
+
+    // Test 2: Constrained decoding and picking
+    console.log('\n📋 Test 2: Constraints and Picking\n')
+
+    check('grammar is constrained', isConstrained({ grammar: 'root ::= "a"' }))
+    check('jsonSchema is constrained', isConstrained({ jsonSchema: { type: 'object' } }))
+    check('plain options are not constrained', !isConstrained({ temperature: 0 }) && !isConstrained())
+
+    const picked = pickSamplingOptions({ temperature: 0, seed: null, timeout: 10, model: 'x' })
+    check('pick keeps only set sampling options', JSON.stringify(picked) === '{"temperature":0}')
+
+    // Test 3: Clamping
+    console.log('\n📋 Test 3: Clamp to Policy\n')
+
+    const { options, clamped } = clampSamplingOptions({
+      maxTokens: 10000,
+      temperature: 0.5,
+      presencePenalty: -5,
+      stop: Array.from({ length: 20 }, (_, i) => `s${i}`),
+      logitBias: { a: 500, b: false }
+    })
+
+    check('values above the policy are lowered', options.maxTokens === 4096)
+    check('values below the policy are raised', options.presencePenalty === -2)
+    check('values inside the policy are kept', options.temperature === 0.5)
+    check('stop lists are truncated', options.stop.length === 16)
+    check('logit biases are clamped, bans kept', options.logitBias.a === 100 && options.logitBias.b === false)
+    check('clamped names are reported', clamped.join(',') === 'maxTokens,presencePenalty,stop,logitBias')
+    check('custom policy applies', clampSamplingOptions({ maxTokens: 300 }, { maxTokens: { max: 256 } }).options.maxTokens === 256)
+
+    // Test 4: Policies
+    console.log('\n📋 Test 4: Validate Policies\n')
+
+    check('valid policy passes', validateSamplingPolicy({ maxTokens: { max: 512 }, temperature: { min: 0, max: 1 } }) === null)
+    check('unknown option fails', validateSamplingPolicy({ beamWidth: { max: 4 } }) === 'beamWidth is not a sampling option')
+    check('constraints cannot be limited', validateSamplingPolicy({ grammar: { max: 1 } })?.startsWith('grammar cannot be limited'))
+    check('non-numeric bound fails', validateSamplingPolicy({ topK: { max: 'many' } }) === 'topK.max must be a number')
+    check('inverted range fails', validateSamplingPolicy({ topK: { min: 10, max: 1 } }) === 'topK.min must not exceed topK.max')
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Sampling Options test PASSED!\n' : '\n❌ Sampling Options test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,130 @@
+#!/usr/bin/env pear
+
+/**
+ * Scheduler Test
+ *
+ * Tests the backlog ordering policies used by RequestQueue
+ *
+ * This test:
+ * 1. Validates FIFO order and positions
+ * 2. Validates priority order (FIFO within a tier)
+ * 3. Tests find, removeWhere and clear
+ * 4. Tests createScheduler and credit tiers
+ *
+ * Usage: pear run --dev test-scheduler.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import {
+  SCHEDULERS,
+  FifoScheduler,
+  PriorityScheduler,
+  createScheduler,
+  getCreditTier
+} from './src/lib/scheduler.js'
+
+console.log('\n🗂️  Scheduler Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+function ids(jobs) {
+  return jobs.map(job => job.requestId).join(',')
+}
+
+async function main() {
+  try {
+    // Test 1: FIFO order
+    console.log('\n📋 Test 1: FIFO Order\n')
+
+    const fifo = new FifoScheduler()
+    const positions = ['a', 'b', 'c'].map(requestId => fifo.push({ requestId, priority: requestId === 'c' ? 100 : 0 }))
+
+    check('push returns 1-based positions', positions.join(',') === '1,2,3')
+    check('size counts waiting jobs', fifo.size === 3)
+    check('getPosition finds a waiting job', fifo.getPosition('b') === 2)
+    check('getPosition returns -1 for unknown jobs', fifo.getPosition('z') === -1)
+    check('priority is ignored', fifo.shift().requestId === 'a')
+    check('shift takes the oldest job', fifo.shift().requestId === 'b')
+    fifo.shift()
+    check('shift returns null when empty', fifo.shift() === null)
+
+    // Test 2: Priority order
+    console.log('\n📋 Test 2: Priority Order\n')
+
+    const priority = new PriorityScheduler()
+    priority.push({ requestId: 'low', priority: 1 })
+    priority.push({ requestId: 'none' })
+    const highPosition = priority.push({ requestId: 'high', priority: 500 })
+    priority.push({ requestId: 'high2', priority: 500 })
+
+    check('higher priority jumps ahead', highPosition === 1)
+    check('same priority stays FIFO', ids(priority.jobs) === 'high,high2,low,none')
+    check('shift takes the highest priority job', priority.shift().requestId === 'high')
+
+    // Test 3: find, removeWhere and clear
+    console.log('\n📋 Test 3: Find, Remove and Clear\n')
+
+    check('find returns the waiting job', priority.find('low')?.priority === 1)
+    check('find returns null for unknown jobs', priority.find('gone') === null)
+
+    const removed = priority.removeWhere(job => (job.priority || 0) < 10)
+    check('removeWhere returns removed jobs in run order', ids(removed) === 'low,none')
+    check('removeWhere keeps the rest', ids(priority.jobs) === 'high2')
+    check('removeWhere with no match removes nothing', priority.removeWhere(() => false).length === 0)
+
+    const cleared = priority.clear()
+    check('clear returns the dropped jobs', ids(cleared) === 'high2')
+    check('clear empties the backlog', priority.size === 0)
+
+    // Test 4: createScheduler and credit tiers
+    console.log('\n📋 Test 4: Factory and Credit Tiers\n')
+
+    check('SCHEDULERS lists both policies', SCHEDULERS.join(',') === 'fifo,priority')
+    check('createScheduler defaults to fifo', createScheduler().name === 'fifo')
+    check('createScheduler builds priority', createScheduler('priority') instanceof PriorityScheduler)
+
+    let unknownError = null
+    try {
+      createScheduler('lottery')
+    } catch (error) {
+      unknownError = error
+    }
+    check('createScheduler rejects unknown names', unknownError?.message.includes('Unknown scheduler: lottery'))
+
+    const tiers = [0, 1, 100, 500, 1500, 4000, 10000].map(getCreditTier)
+    check('credit tier boundaries', tiers.join(',') === 'unverified,bronze,silver,gold,platinum,diamond,master')
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Scheduler test PASSED!\n' : '\n❌ Scheduler test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,116 @@
+#!/usr/bin/env pear
+
+/**
+ * Sealed Box Test
+ *
+ * Tests end-to-end encryption between a client and one worker
+ *
+ * This test:
+ * 1. Seals a request to a worker's identity and opens it there
+ * 2. Seals a reply to the client's ephemeral key and opens it
+ * 3. Validates that other peers and tampered boxes cannot open it
+ * 4. Validates that every box gets a fresh nonce
+ *
+ * Usage: pear run --dev test-sealed-box.js
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import b4a from 'b4a'
+import { Identity } from './src/lib/identity.js'
+import {
+  createEphemeralKeyPair,
+  toCurvePublicKey,
+  toCurveSecretKey,
+  seal,
+  open
+} from './src/lib/sealed-box.js'
+
+console.log('\n🔒 Sealed Box Test\n')
+console.log('='.repeat(60))
+
+let testsPassed = 0
+let testsFailed = 0
+
+function check(description, passed) {
+  if (passed) {
+    console.log(`✅ ${description}`)
+    testsPassed++
+  } else {
+    console.log(`❌ ${description}`)
+    testsFailed++
+  }
+}
+
+async function main() {
+  try {
+    const worker = Identity.generate()
+    const workerSecret = toCurveSecretKey(worker.keyPair.secretKey)
+    const ephemeral = createEphemeralKeyPair()
+    const request = { type: 'prompt', requestId: 'r1', prompt: 'Hello 👋' }
+
+    // Test 1: Client to worker
+    console.log('\n📋 Test 1: Seal a Request to the Worker\n')
+
+    const box = seal(request, toCurvePublicKey(worker.id), ephemeral.secretKey)
+
+    check('box carries a hex nonce', /^[0-9a-f]{48}$/.test(box.nonce))
+    check('ciphertext hides the prompt', !box.ciphertext.includes('Hello'))
+
+    const opened = open(box, ephemeral.publicKey, workerSecret)
+    check('worker opens the request', JSON.stringify(opened) === JSON.stringify(request))
+    check('buffer and hex worker keys convert alike', b4a.equals(toCurvePublicKey(worker.publicKey), toCurvePublicKey(worker.id)))
+
+    // Test 2: Worker to client
+    console.log('\n📋 Test 2: Seal a Reply to the Client\n')
+
+    const reply = { type: 'inference_result', requestId: 'r1', result: { text: 'Hi!' } }
+    const replyBox = seal(reply, ephemeral.publicKey, workerSecret)
+    const openedReply = open(replyBox, toCurvePublicKey(worker.id), ephemeral.secretKey)
+
+    check('client opens the reply', openedReply?.result?.text === 'Hi!')
+
+    // Test 3: Other peers and tampering
+    console.log('\n📋 Test 3: Other Peers and Tampering\n')
+
+    const eavesdropper = Identity.generate()
+    check('another worker cannot open it', open(box, ephemeral.publicKey, toCurveSecretKey(eavesdropper.keyPair.secretKey)) === null)
+    check('a different sender key fails', open(box, createEphemeralKeyPair().publicKey, workerSecret) === null)
+
+    const bytes = b4a.from(box.ciphertext, 'base64')
+    bytes[bytes.length - 1] ^= 1
+    check('flipped ciphertext bit fails', open({ ...box, ciphertext: b4a.toString(bytes, 'base64') }, ephemeral.publicKey, workerSecret) === null)
+    check('short nonce fails', open({ ...box, nonce: box.nonce.slice(2) }, ephemeral.publicKey, workerSecret) === null)
+    check('truncated ciphertext fails', open({ ...box, ciphertext: 'AAAA' }, ephemeral.publicKey, workerSecret) === null)
+    check('malformed box fails', open({}, ephemeral.publicKey, workerSecret) === null)
+
+    // Test 4: Nonces
+    console.log('\n📋 Test 4: Fresh Nonces\n')
+
+    const again = seal(request, toCurvePublicKey(worker.id), ephemeral.secretKey)
+    check('sealing twice uses a new nonce', again.nonce !== box.nonce && again.ciphertext !== box.ciphertext)
+
+    const other = createEphemeralKeyPair()
+    check('ephemeral keypairs are unique', !b4a.equals(other.publicKey, ephemeral.publicKey))
+
+    // Print final results
+    console.log('\n' + '='.repeat(60))
+    console.log('\n📊 Test Results:\n')
+    console.log(`   Tests passed: ${testsPassed}`)
+    console.log(`   Tests failed: ${testsFailed}`)
+
+    const allPassed = testsFailed === 0
+    console.log(allPassed ? '\n✅ Sealed Box test PASSED!\n' : '\n❌ Sealed Box test FAILED\n')
+    console.log('='.repeat(60))
+
+    process.exit(allPassed ? 0 : 1)
+
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message)
+    console.error('\nStack trace:')
+    console.error(error.stack)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,95 @@
+#!/usr/bin/env pear
+
+/**
+ * QMesh Usage - Report what this worker has served
+ *
+ * Reads the worker's usage ledger (see src/lib/usage-ledger.js) and
+ * prints totals by day and by client, or exports every recorded request.
+ * The ledger is locked while the worker runs, so stop the worker first.
+ *
+ * Usage:
+ *   pear run --dev usage.js                         # Totals by day and client
+ *   pear run --dev usage.js --from 2026-10-01       # Only from that day on
+ *   pear run --dev usage.js --export csv > usage.csv
+ *   pear run --dev usage.js --export json --client <publicKey>
+ *   pear run --dev usage.js --ledger ./other-ledger
+ */
+
+import 'bare-node-runtime/global'
+import process from '#process'
+import { UsageLedger, getLedgerPath } from './src/lib/usage-ledger.js'
+
+let ledger = null
+
+async function main() {
+  const args = typeof Pear !== 'undefined' && Pear.config
+    ? Pear.config.args || []
+    : process.argv.slice(2)
+
+  const options = parseArgs(args)
+
+  try {
+    ledger = new UsageLedger({ storagePath: options.ledger || getLedgerPath() })
+    await ledger.init()
+
+    if (options.export) {
+      if (options.export !== 'csv' && options.export !== 'json') {
+        throw new Error(`Unknown export format: ${options.export} (expected csv or json)`)
+      }
+
+      process.stdout.write(await ledger.export({
+        format: options.export,
+        from: options.from,
+        to: options.to,
+        clientId: options.client
+      }))
+      return
+    }
+
+    console.log('\n📊 QMesh Usage\n')
+    console.log('='.repeat(60))
+
+    const totals = await ledger.getTotals()
+    console.log(`\n  Requests: ${totals.requests} (${totals.completed} completed, ${totals.failed} failed, ${totals.cancelled} cancelled)`)
+    console.log(`  Tokens: ${totals.promptTokens} prompt, ${totals.completionTokens} completion`)
+
+    console.log('\n📅 By day:\n')
+    for (const day of await ledger.getDailyTotals({ from: options.from, to: options.to })) {
+      console.log(`  ${day.day}  ${String(day.requests).padStart(6)} requests  ${String(day.completionTokens).padStart(9)} tokens`)
+    }
+
+    console.log('\n👥 By client:\n')
+    for (const client of await ledger.getClientTotals()) {
+      console.log(`  ${client.clientId.slice(0, 16)}...  ${String(client.requests).padStart(6)} requests  ${String(client.completionTokens).padStart(9)} tokens`)
+    }
+
+    console.log('\n' + '='.repeat(60) + '\n')
+
+  } catch (error) {
+    console.error('\n❌ Usage report failed:', error.message)
+    process.exitCode = 1
+
+  } finally {
+    if (ledger) {
+      await ledger.close()
+    }
+  }
+}
+
+/**
+ * Parse --name value / --name=value flags
+ */
+function parseArgs(args) {
+  const options = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(args[i])
+    if (!match) continue
+
+    options[match[1]] = match[2] !== undefined ? match[2] : args[++i]
+  }
+
+  return options
+}
+
+main()